@@ -1,5 +1,189 @@
 // https://lua-api.factorio.com/latest/auxiliary/json-docs-prototype.html
 
+/**
+ * Turns a (Markdown) text into LuaDoc comment lines, to be placed above the annotated member.
+ * @param {string|null} text The text to turn into comment lines.
+ * @returns {string} The comment lines, each ending with a newline, or an empty string if there's no text.
+ */
+function toComment(text) {
+    if (!text) {
+        return "";
+    }
+    return text.split('\n').map(line => "---" + line + "\n").join("");
+}
+
+/**
+ * Collapses a (Markdown) text into a single line, for annotations that can't span multiple lines.
+ * @param {string|null} text The text to collapse.
+ * @returns {string} The text on a single line.
+ */
+function toSingleLine(text) {
+    if (!text) {
+        return "";
+    }
+    return text.split('\n').map(line => line.trim()).filter(line => line.length > 0).join(" ");
+}
+
+/**
+ * Generates the Markdown section describing which subclasses a member is restricted to.
+ * @param {Array<string>|null} subclasses The subclasses that the member applies to.
+ * @returns {Array<string>} The section, or no section at all if the member isn't restricted.
+ */
+function toSubclassesSection(subclasses) {
+    if (subclasses == null || subclasses.length === 0) {
+        return [];
+    }
+    let names = subclasses.join(", ");
+    if (subclasses.length > 1) {
+        names = subclasses.slice(0, -1).join(", ") + " or " + subclasses[subclasses.length - 1];
+    }
+    return ["_Can only be used if this is " + names + "._"];
+}
+
+/**
+ * Generates the Markdown section describing which game expansions a member needs.
+ * @param {Array<string>|null|undefined} visibility The game expansions needed to use the member, like "space_age".
+ * @returns {Array<string>} The section, or no section at all if the member isn't restricted.
+ */
+function toVisibilitySection(visibility) {
+    if (visibility == null || visibility.length === 0) {
+        return [];
+    }
+    const expansions = visibility.map(expansion => expansion.split("_").map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(" "));
+    return ["_Requires the " + expansions.join(" and ") + " expansion" + (expansions.length > 1 ? "s" : "") + "._"];
+}
+
+/**
+ * Turns a (Markdown) text and block tags into a JSDoc comment, to be placed above the declared member.
+ * @param {string|null} text The text to turn into a comment.
+ * @param {Array<string>} tags Block tags to add after the text, like "@deprecated".
+ * @returns {string} The comment, ending with a newline, or an empty string if there's no text and there are no tags.
+ */
+function toDocComment(text, tags = []) {
+    const lines = [];
+    if (text) {
+        lines.push(...text.replace(/\*\//g, "*\\/").split('\n'));
+    }
+    if (tags.length > 0 && lines.length > 0) {
+        lines.push("");
+    }
+    lines.push(...tags);
+    if (lines.length === 0) {
+        return "";
+    } else if (lines.length === 1) {
+        return "/** " + lines[0] + " */\n";
+    }
+    return "/**\n" + lines.map(line => (" * " + line).trimEnd() + "\n").join("") + " */\n";
+}
+
+/**
+ * The words that TypeScript doesn't allow as parameter names, even though the API may use them.
+ * @type {Array<string>}
+ */
+const TYPESCRIPT_RESERVED_WORDS = ["break", "case", "catch", "class", "const", "continue", "debugger", "default", "delete", "do", "else", "enum", "export", "extends", "false", "finally", "for", "function", "if", "import", "in", "instanceof", "new", "null", "return", "super", "switch", "this", "throw", "true", "try", "typeof", "var", "void", "while", "with"];
+
+/**
+ * Turns a name into a valid TypeScript property name, quoting it if it isn't a plain identifier.
+ * @param {string} name The name of the property, like "type" or "assembling-machine".
+ * @returns {string} The property name.
+ */
+function toPropertyName(name) {
+    return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Turns a name into a valid TypeScript parameter name, suffixing it with an underscore if it's a reserved word.
+ * @param {string} name The name of the parameter.
+ * @returns {string} The parameter name.
+ */
+function toParameterName(name) {
+    return TYPESCRIPT_RESERVED_WORDS.includes(name) ? name + "_" : name;
+}
+
+/**
+ * Indents every non-empty line of a text by one level.
+ * @param {string} text The text to indent.
+ * @returns {string} The indented text.
+ */
+function indent(text) {
+    return text.split('\n').map(line => line ? "    " + line : line).join('\n');
+}
+
+/**
+ * Generates a TypeScript interface declaration with the given members.
+ * @param {string} name The name of the interface, including any type parameters.
+ * @param {string|null} parent The name of the interface that it extends, if any.
+ * @param {Array<string>} members The TypeScript member declarations, each possibly spanning multiple lines.
+ * @returns {string} The TypeScript interface declaration.
+ */
+function toInterface(name, parent, members) {
+    const header = "interface " + name + (parent ? " extends " + parent : "") + " {";
+    if (members.length === 0) {
+        return header + "}";
+    }
+    return header + "\n" + indent(members.join("\n")) + "\n}";
+}
+
+/**
+ * Generates the TypeScript return type for the given return values. Lua functions can return multiple values,
+ * which TypeScriptToLua expresses as a LuaMultiReturn tuple.
+ * @param {Array<Parameter>|null} return_values The return values.
+ * @returns {string} The TypeScript return type.
+ */
+function toReturnType(return_values) {
+    if (return_values == null || return_values.length === 0) {
+        return "void";
+    }
+    const types = return_values.map(return_value => return_value.optional ? Type.toNestedTypeScript(return_value.type) + " | undefined" : return_value.type.toTypeScript());
+    if (types.length === 1) {
+        return types[0];
+    }
+    return "LuaMultiReturn<[" + types.join(", ") + "]>";
+}
+
+/**
+ * Generates a Markdown section consisting of a bold title followed by a list.
+ * @param {string} title The title of the section, like "Parameters".
+ * @param {Array<string>} items The Markdown list items, each starting with "- ".
+ * @returns {Array<string>} The section, or no section at all if there are no items.
+ */
+function toListSection(title, items) {
+    if (items.length === 0) {
+        return [];
+    }
+    return ["**" + title + ":**\n" + items.join("\n")];
+}
+
+/**
+ * Generates a Markdown heading with an explicit anchor, so that links don't depend on how a renderer creates anchors.
+ * @param {number} level The level of the heading, from 1 to 6.
+ * @param {string} anchor The id of the anchor, like the name of the member.
+ * @param {string} text The text of the heading.
+ * @returns {string} The Markdown heading.
+ */
+function toHeading(level, anchor, text) {
+    return "<a id=\"" + anchor + "\"></a>\n" + "#".repeat(Math.min(level, 6)) + " " + text;
+}
+
+/**
+ * Makes sure that the code blocks of an example are marked as Lua, wrapping the example in one if it has none.
+ * @param {string} example The Markdown example.
+ * @returns {string} The example with Lua code blocks.
+ */
+function toLuaExample(example) {
+    if (!example.includes("```")) {
+        return "```lua\n" + example + "\n```";
+    }
+    let in_code = false;
+    return example.split('\n').map(line => {
+        if (!line.trim().startsWith("```")) {
+            return line;
+        }
+        in_code = !in_code;
+        return in_code && line.trim() === "```" ? line + "lua" : line;
+    }).join('\n');
+}
+
 /**
  * @class Image
  * @see https://lua-api.factorio.com/latest/auxiliary/json-docs-prototype.html#Image
@@ -16,6 +200,12 @@ class Image {
      */
     caption = null;
 
+    /**
+     * Not part of the JSON format: fldoc resolves it for the version of the documentation, like links in descriptions.
+     * @type {string} The URL of the image on the API website.
+     */
+    url = null;
+
     /**
      * Creates a new Image instance from the given JSON data.
      * @param {*} json The parsed JSON from the documentation
@@ -23,6 +213,19 @@ class Image {
     constructor(json) {
         this.filename = json.filename;
         this.caption = json.caption || null;
+        this.url = json.url || "https://lua-api.factorio.com/latest/static/images/" + this.filename;
+    }
+
+    /**
+     * Generates a Markdown image linking to the image on the API website, followed by its caption.
+     * @returns {string} The Markdown string.
+     */
+    toMarkdown() {
+        let markdown = "![" + (this.caption || this.filename) + "](" + this.url + ")";
+        if (this.caption) {
+            markdown += "\n\n*" + this.caption + "*";
+        }
+        return markdown;
     }
 
 }
@@ -33,6 +236,20 @@ class Image {
  */
 class Type {
 
+    /**
+     * The TypeScript types of the types that LuaLS knows natively (see Concept.LUALS_TYPES), which the API refers to by their Lua name.
+     * @type {Object<string, string>}
+     */
+    static TYPESCRIPT_TYPES = {
+        function: "((...args: any[]) => any)",
+        integer: "number",
+        lightuserdata: "object",
+        nil: "undefined",
+        table: "object",
+        thread: "object",
+        userdata: "object",
+    };
+
     /**
      * @type {string} A string denoting the kind of complex type.
      */
@@ -73,6 +290,30 @@ class Type {
      */
     description = null;
 
+    /**
+     * Only set if complex_type is "table" (a list of Parameter) or "function" (a list of Type).
+     * @type {Array<Parameter|Type|string>|null} The parameters of the table, or the types of the parameters of the function.
+     */
+    parameters = null;
+
+    /**
+     * Only set if complex_type is "table".
+     * @type {Array<ParameterGroup>|null} The optional parameters that depend on one of the main parameters.
+     */
+    variant_parameter_groups = null;
+
+    /**
+     * Only set if complex_type is "table".
+     * @type {string|null} The text description of the optional parameter groups.
+     */
+    variant_parameter_description = null;
+
+    /**
+     * Only set if complex_type is "LuaStruct".
+     * @type {Array<Attribute>|null} The attributes of the struct.
+     */
+    attributes = null;
+
     /**
      * Creates a new Type instance from the given JSON data.
      * @param {object|string} json The parsed JSON from the documentation
@@ -124,45 +365,276 @@ class Type {
 
         this.full_format = json.full_format || null;
         this.description = json.description || null;
+
+        if (Array.isArray(json.parameters)) {
+            this.parameters = [];
+            for (const parameter_json of json.parameters) {
+                if (json.complex_type === "table") {
+                    this.parameters.push(new Parameter(parameter_json));
+                } else if (typeof parameter_json === 'object' && parameter_json !== null) {
+                    this.parameters.push(new Type(parameter_json));
+                } else {
+                    this.parameters.push(parameter_json);
+                }
+            }
+        } else {
+            this.parameters = null;
+        }
+
+        if (Array.isArray(json.variant_parameter_groups)) {
+            this.variant_parameter_groups = [];
+            for (const group_json of json.variant_parameter_groups) {
+                this.variant_parameter_groups.push(new ParameterGroup(group_json));
+            }
+        } else {
+            this.variant_parameter_groups = null;
+        }
+        this.variant_parameter_description = json.variant_parameter_description || null;
+
+        if (Array.isArray(json.attributes)) {
+            this.attributes = [];
+            for (const attribute_json of json.attributes) {
+                this.attributes.push(new Attribute(attribute_json));
+            }
+        } else {
+            this.attributes = null;
+        }
+    }
+
+    /**
+     * Gets the names of all the named types that this Type refers to, including those of nested types.
+     * @returns {Array<string>} The referenced type names, possibly with duplicates.
+     */
+    getReferencedNames() {
+        const complex_types = ["array", "dictionary", "LuaCustomTable", "LuaLazyLoadedValue", "tuple", "union", "literal", "type", "function", "table", "LuaStruct", "struct", "builtin"];
+        if (!complex_types.includes(this.complex_type)) {
+            return [this.complex_type];
+        }
+        if (this.complex_type == "literal") {
+            return [];
+        }
+        const nested = [this.key, this.value, ...(this.values || []), ...(this.options || [])];
+        for (const parameter of this.parameters || []) {
+            nested.push(parameter instanceof Parameter ? parameter.type : parameter);
+        }
+        for (const group of this.variant_parameter_groups || []) {
+            nested.push(...(group.parameters || []).map(parameter => parameter.type));
+        }
+        for (const attribute of this.attributes || []) {
+            nested.push(attribute.read_type, attribute.write_type);
+        }
+        const names = [];
+        for (const type of nested) {
+            if (type instanceof Type) {
+                names.push(...type.getReferencedNames());
+            } else if (typeof type === "string") {
+                names.push(type);
+            }
+        }
+        return names;
+    }
+
+    /**
+     * Whether this type needs parentheses when it's nested inside another type, like the elements of an array.
+     * @returns {boolean} Whether the type needs parentheses.
+     */
+    isCompound() {
+        if (this.complex_type == "type") {
+            return this.value instanceof Type && this.value.isCompound();
+        }
+        return this.complex_type == "union" || this.complex_type == "function";
+    }
+
+    /**
+     * Generates the string representation of a type nested inside this one, adding parentheses if needed.
+     * @param {Type|string} type The nested type.
+     * @returns {string} The string representation of the nested type.
+     */
+    static toNestedString(type) {
+        if (type instanceof Type && type.isCompound()) {
+            return "(" + type.toString() + ")";
+        }
+        return type.toString();
     }
 
     /**
-     * Generates a string representation of this Type.
-     * @returns {string} The string representation of the Type.
+     * Generates the LuaLS type expression for this Type.
+     * @returns {string} The LuaLS type expression.
      */
     toString() {
         if (this.complex_type == "array") {
-            return this.value + "[]";
+            return Type.toNestedString(this.value) + "[]";
         } else if (this.complex_type == "dictionary") {
             return "table<" + this.key + ", " + this.value + ">";
+        } else if (this.complex_type == "LuaCustomTable") {
+            return "LuaCustomTable<" + this.key + ", " + this.value + ">";
+        } else if (this.complex_type == "LuaLazyLoadedValue") {
+            return "LuaLazyLoadedValue<" + this.value + ">";
         } else if (this.complex_type == "tuple") {
-            return "tuple<" + this.values.map(v => v.toString()).join(", ") + ">";
+            return "{ " + this.values.map((v, i) => "[" + (i + 1) + "]: " + v).join(", ") + " }";
         } else if (this.complex_type == "union") {
-            return this.options.map(o => o.toString()).join(" | ");
+            return this.options.map(o => o instanceof Type && o.complex_type == "function" ? "(" + o + ")" : o.toString()).join(" | ");
         } else if (this.complex_type == "literal") {
             if (typeof this.value === "string") {
-                // early double quotes for VSCode workaround
-                if (this.description) {
-                    return `string """${this.description}"`;
-                } else {
-                    return `string """${this.value}"`;
-                }
+                return JSON.stringify(this.value);
             } else if (typeof this.value === "number" || typeof this.value === "boolean") {
-                if (this.description) {
-                    return `${typeof this.value} ${this.description}`;
-                } else {
-                    return typeof this.value;
-                }
+                return String(this.value);
             } else {
                 return "any";
             }
         } else if (this.complex_type == "type") {
             return this.value.toString();
+        } else if (this.complex_type == "function") {
+            return "fun(" + (this.parameters || []).map((p, i) => "arg" + (i + 1) + ": " + p).join(", ") + ")";
+        } else if (this.complex_type == "table") {
+            return "{ " + (this.parameters || []).map(p => p.name + (p.optional ? "?" : "") + ": " + p.type).join(", ") + " }";
+        } else if (this.complex_type == "LuaStruct") {
+            return "{ " + (this.attributes || []).map(a => a.name + (a.optional ? "?" : "") + ": " + (a.read_type || a.write_type)).join(", ") + " }";
+        } else if (this.complex_type == "struct") {
+            // The struct's properties belong to the concept that this is the type of
+            return "table";
+        } else if (this.complex_type == "builtin") {
+            return "any";
         } else {
             return this.complex_type;
         }
     }
 
+    /**
+     * Generates the Markdown representation of this Type, in the notation of the API website, like
+     * "dictionary[string → double]". Named types are linked to their pages.
+     * @param {function(string): string|null} resolve Gets the URL of the page of a named type, or null if it has none.
+     * @returns {string} The Markdown representation.
+     */
+    toMarkdown(resolve) {
+        const link = name => {
+            const url = resolve(name);
+            return url != null ? "[" + name + "](" + url + ")" : name;
+        };
+        const md = type => type instanceof Type ? type.toMarkdown(resolve) : link(String(type));
+        if (this.complex_type == "array") {
+            return "array[" + md(this.value) + "]";
+        } else if (this.complex_type == "dictionary") {
+            return "dictionary[" + md(this.key) + " → " + md(this.value) + "]";
+        } else if (this.complex_type == "LuaCustomTable") {
+            return link("LuaCustomTable") + "[" + md(this.key) + " → " + md(this.value) + "]";
+        } else if (this.complex_type == "LuaLazyLoadedValue") {
+            return link("LuaLazyLoadedValue") + "(" + md(this.value) + ")";
+        } else if (this.complex_type == "tuple") {
+            return "{" + this.values.map(md).join(", ") + "}";
+        } else if (this.complex_type == "union") {
+            return this.options.map(md).join(" or ");
+        } else if (this.complex_type == "literal") {
+            return "`" + JSON.stringify(this.value) + "`";
+        } else if (this.complex_type == "type") {
+            return md(this.value);
+        } else if (this.complex_type == "function") {
+            return "function(" + (this.parameters || []).map(md).join(", ") + ")";
+        } else if (this.complex_type == "table") {
+            return "{" + (this.parameters || []).map(p => p.name + (p.optional ? "?" : "") + ": " + md(p.type)).join(", ") + "}";
+        } else if (this.complex_type == "LuaStruct") {
+            return "{" + (this.attributes || []).map(a => a.name + (a.optional ? "?" : "") + ": " + md(a.read_type || a.write_type)).join(", ") + "}";
+        } else if (this.complex_type == "struct" || this.complex_type == "builtin") {
+            return this.complex_type;
+        } else {
+            return link(this.complex_type);
+        }
+    }
+
+    /**
+     * Generates the JSON Schema for the values of this Type, as they appear in prototype data. Named types are
+     * referenced from the "$defs" of the schema bundle.
+     * @param {object} struct_schema The schema of the struct that this type is part of, if any. See Concept.toJSONSchema.
+     * @returns {object} The JSON Schema.
+     */
+    toJSONSchema(struct_schema = { type: "object" }) {
+        const schema = type => type instanceof Type ? type.toJSONSchema(struct_schema) : { $ref: "#/$defs/" + type };
+        let result = null;
+        if (this.complex_type == "array") {
+            // Lua can't tell empty arrays from empty tables, so data-raw-dump.json writes them as empty objects
+            result = { anyOf: [{ type: "array", items: schema(this.value) }, { type: "object", maxProperties: 0 }] };
+        } else if (this.complex_type == "dictionary") {
+            result = { type: "object", additionalProperties: schema(this.value) };
+        } else if (this.complex_type == "tuple") {
+            result = { type: "array", prefixItems: this.values.map(schema), minItems: this.values.length, maxItems: this.values.length };
+        } else if (this.complex_type == "union") {
+            result = { anyOf: this.options.map(schema) };
+        } else if (this.complex_type == "literal") {
+            result = { const: this.value };
+        } else if (this.complex_type == "type") {
+            result = schema(this.value);
+        } else if (this.complex_type == "struct") {
+            result = struct_schema;
+        } else if (["builtin", "function", "table", "LuaStruct", "LuaCustomTable", "LuaLazyLoadedValue"].includes(this.complex_type)) {
+            // Only prototype data is validated, which can't contain the complex types of the runtime stage
+            result = {};
+        } else {
+            result = { $ref: "#/$defs/" + this.complex_type };
+        }
+        if (this.description) {
+            result = { ...result, description: this.description };
+        }
+        return result;
+    }
+
+    /**
+     * Generates the TypeScript representation of a type nested inside this one, adding parentheses if needed.
+     * @param {Type|string} type The nested type.
+     * @returns {string} The TypeScript representation of the nested type.
+     */
+    static toNestedTypeScript(type) {
+        if (type instanceof Type && type.isCompound()) {
+            return "(" + type.toTypeScript() + ")";
+        }
+        return type instanceof Type ? type.toTypeScript() : String(type);
+    }
+
+    /**
+     * Generates the TypeScript type expression for this Type, as understood by TypeScriptToLua.
+     * @returns {string} The TypeScript type expression.
+     */
+    toTypeScript() {
+        const ts = type => type instanceof Type ? type.toTypeScript() : String(type);
+        if (this.complex_type == "array") {
+            return Type.toNestedTypeScript(this.value) + "[]";
+        } else if (this.complex_type == "dictionary") {
+            return "LuaTable<" + ts(this.key) + ", " + ts(this.value) + ">";
+        } else if (this.complex_type == "LuaCustomTable") {
+            return "LuaCustomTable<" + ts(this.key) + ", " + ts(this.value) + ">";
+        } else if (this.complex_type == "LuaLazyLoadedValue") {
+            return "LuaLazyLoadedValue<" + ts(this.value) + ">";
+        } else if (this.complex_type == "tuple") {
+            return "[" + this.values.map(ts).join(", ") + "]";
+        } else if (this.complex_type == "union") {
+            return this.options.map(o => o instanceof Type && o.complex_type == "function" ? "(" + o.toTypeScript() + ")" : ts(o)).join(" | ");
+        } else if (this.complex_type == "literal") {
+            if (typeof this.value === "string") {
+                return JSON.stringify(this.value);
+            } else if (typeof this.value === "number" || typeof this.value === "boolean") {
+                return String(this.value);
+            } else {
+                return "any";
+            }
+        } else if (this.complex_type == "type") {
+            return ts(this.value);
+        } else if (this.complex_type == "function") {
+            return "(" + (this.parameters || []).map((p, i) => "arg" + (i + 1) + ": " + ts(p)).join(", ") + ") => void";
+        } else if (this.complex_type == "table") {
+            const members = (this.parameters || []).map(p => toPropertyName(p.name) + (p.optional ? "?" : "") + ": " + ts(p.type) + ";");
+            return members.length > 0 ? "{ " + members.join(" ") + " }" : "{}";
+        } else if (this.complex_type == "LuaStruct") {
+            const members = (this.attributes || []).map(a => toPropertyName(a.name) + (a.optional ? "?" : "") + ": " + ts(a.read_type || a.write_type) + ";");
+            return members.length > 0 ? "{ " + members.join(" ") + " }" : "{}";
+        } else if (this.complex_type == "struct") {
+            // The struct's properties belong to the concept that this is the type of
+            return "object";
+        } else if (this.complex_type == "builtin") {
+            return "any";
+        } else {
+            return Type.TYPESCRIPT_TYPES[this.complex_type] || this.complex_type;
+        }
+    }
+
 }
 
 /**
@@ -223,6 +695,52 @@ class BasicMember {
         }
     }
 
+    /**
+     * Generates the LuaDoc comment lines describing this member: its full description, followed by any extra
+     * sections, its lists, examples and images.
+     * @param {Array<string>} extra_sections Additional Markdown sections that subclasses want to include.
+     * @returns {string} The comment lines, each ending with a newline, or an empty string if there's nothing to describe.
+     */
+    toDescription(extra_sections = []) {
+        return toComment(this.getDescriptionSections(extra_sections).join("\n\n"));
+    }
+
+    /**
+     * Generates the JSDoc comment describing this member, with the same sections as toDescription. Deprecated
+     * members are tagged as such.
+     * @param {Array<string>} extra_sections Additional Markdown sections that subclasses want to include.
+     * @returns {string} The comment, ending with a newline, or an empty string if there's nothing to describe.
+     */
+    toDocComment(extra_sections = []) {
+        return toDocComment(this.getDescriptionSections(extra_sections).join("\n\n"), this.deprecated ? ["@deprecated"] : []);
+    }
+
+    /**
+     * Gets the Markdown sections describing this member: its full description, followed by any extra sections, its
+     * lists, examples and images.
+     * @param {Array<string>} extra_sections Additional Markdown sections that subclasses want to include.
+     * @returns {Array<string>} The Markdown sections.
+     */
+    getDescriptionSections(extra_sections = []) {
+        const sections = [];
+        if (this.description) {
+            sections.push(this.description);
+        }
+        // Not every kind of member has a visibility, but those that do all share the same format
+        sections.push(...toVisibilitySection(this.visibility));
+        sections.push(...extra_sections);
+        if (this.lists != null) {
+            sections.push(...this.lists);
+        }
+        if (this.examples != null) {
+            sections.push(...this.examples.map(toLuaExample));
+        }
+        if (this.images != null) {
+            sections.push(...this.images.map(image => image.toMarkdown()));
+        }
+        return sections;
+    }
+
 }
 
 /**
@@ -231,6 +749,12 @@ class BasicMember {
  */
 class Concept extends BasicMember {
 
+    /**
+     * The names of the types that LuaLS knows natively, which builtin concepts must not redeclare.
+     * @type {Array<string>}
+     */
+    static LUALS_TYPES = ["any", "boolean", "function", "integer", "lightuserdata", "nil", "number", "string", "table", "thread", "userdata"];
+
     /**
      * @type {string|null} The name of the type's parent, if any.
      */
@@ -252,10 +776,27 @@ class Concept extends BasicMember {
     type = null;
 
     /**
+     * For runtime concepts, these are built from the parameters of the table (or attributes of the LuaStruct) that the type includes.
      * @type {Array<Property>|null} The list of properties that the type has, if its type includes a struct. null otherwise.
      */
     properties = null;
 
+    /**
+     * @type {Type|null} The option of the union that the type is, that the properties of the type belong to. null if the type isn't such a union.
+     */
+    struct_option = null;
+
+    /**
+     * For runtime concepts, these come from the table that the type includes, like for the table of parameters of a method.
+     * @type {Array<ParameterGroup>|null} The variant groups of properties of the struct, if any. null otherwise.
+     */
+    variant_parameter_groups = null;
+
+    /**
+     * @type {string|null} The text description of the variant groups of properties of the struct, if any.
+     */
+    variant_parameter_description = null;
+
     /**
      * Creates a new Concept instance from the given JSON data.
      * @param {object} json The parsed JSON from the documentation
@@ -273,17 +814,252 @@ class Concept extends BasicMember {
                 const property = new Property(property_json);
                 this.properties.push(property);
             }
+        } else if (json.type && typeof json.type === 'object') {
+            // Runtime concepts have no properties, their members are the parameters of a table type instead
+            let table_json = json.type;
+            if (table_json.complex_type === "union") {
+                table_json = table_json.options.find(o => typeof o === 'object' && (o.complex_type === "table" || o.complex_type === "LuaStruct"));
+            }
+            if (table_json && table_json.complex_type === "table" && Array.isArray(table_json.parameters)) {
+                this.properties = [];
+                for (const parameter_json of table_json.parameters) {
+                    const property = new Property(parameter_json);
+                    this.properties.push(property);
+                }
+            } else if (table_json && table_json.complex_type === "LuaStruct" && Array.isArray(table_json.attributes)) {
+                this.properties = [];
+                for (const attribute_json of table_json.attributes) {
+                    const property = new Property({ ...attribute_json, type: attribute_json.read_type || attribute_json.write_type });
+                    this.properties.push(property);
+                }
+            } else {
+                this.properties = null;
+            }
         } else {
             this.properties = null;
         }
+
+        if (this.properties != null && this.type != null && this.type.complex_type === "union") {
+            this.struct_option = this.type.options.find(o => o instanceof Type && ["table", "LuaStruct", "struct"].includes(o.complex_type)) || null;
+        }
+        const table_type = this.struct_option || this.type;
+        if (this.properties != null && table_type != null && table_type.complex_type === "table") {
+            this.variant_parameter_groups = table_type.variant_parameter_groups;
+            this.variant_parameter_description = table_type.variant_parameter_description;
+        }
     }
 
     /**
-     * Generates the LuaDoc class string for this concept.
-     * @returns {string} The LuaDoc class string.
+     * Gets the name of the class (or interface) that holds the properties of this concept. That's the concept itself,
+     * unless its type is a union with other options than the struct, or its struct has variant groups of properties.
+     * Those are kept in an alias of that name instead, see getStructTypes.
+     * @returns {string} The name of the class.
      */
-    toClass() {
-        return "---@class " + this.name;
+    getStructName() {
+        return this.struct_option != null || this.variant_parameter_groups != null ? this.name + ".struct" : this.name;
+    }
+
+    /**
+     * Gets the names of the classes (or interfaces) that the struct of this concept can be: the class of its struct,
+     * followed by one that extends it per variant group of properties, like the parameter classes of methods.
+     * @returns {Array<string>} The names of the classes.
+     */
+    getStructTypes() {
+        return [this.getStructName(), ...(this.variant_parameter_groups || []).map(group => this.name + "." + group.name.replace(/\W/g, "_"))];
+    }
+
+    /**
+     * Gets the LuaLS type that a builtin concept corresponds to, like "integer" for "uint32".
+     * @returns {string|null} The LuaLS type, or null if there's no corresponding type.
+     */
+    toLuaLSType() {
+        if (/^u?int(8|16|32|64)?$/.test(this.name)) {
+            return "integer";
+        } else if (this.name == "float" || this.name == "double") {
+            return "number";
+        } else if (this.name == "bool") {
+            return "boolean";
+        } else if (this.name == "Any") {
+            return "any";
+        }
+        return null;
+    }
+
+    /**
+     * Generates the LuaDoc class string for this concept. Concepts that are not a struct or table are generated as an alias instead,
+     * and unions that include a struct as an alias followed by the class of the struct, see getStructName.
+     * @param {string|null} parent_name The name of the class of the parent, if it's not the parent itself.
+     * @returns {string} The LuaDoc class or alias string.
+     */
+    toClass(parent_name = this.parent) {
+        const description = this.toDescription();
+        if (this.type != null && this.type.complex_type == "builtin") {
+            const luals_type = this.toLuaLSType();
+            if (luals_type != null) {
+                return description + "---@alias " + this.name + " " + luals_type;
+            }
+        }
+        const struct_name = this.getStructName();
+        if ((this.properties != null && struct_name == this.name) || this.type == null || this.type.complex_type == "builtin") {
+            return description + "---@class " + this.name + (parent_name ? " : " + parent_name : "");
+        }
+        if (struct_name != this.name || (this.type.complex_type == "union" && (this.type.full_format || this.type.options.some(o => o.complex_type == "literal")))) {
+            // Unions are listed option by option so that literals get completion and descriptions
+            let alias = description + "---@alias " + this.name;
+            for (const option of this.type.complex_type == "union" ? this.type.options : [this.type]) {
+                const names = option === this.struct_option || option === this.type ? this.getStructTypes() : [option.toString()];
+                for (const name of names) {
+                    alias += "\n---| " + name + (option.description ? " # " + toSingleLine(option.description) : "");
+                }
+            }
+            if (struct_name != this.name) {
+                alias += "\n\n" + toComment(this.variant_parameter_description || "The struct form of " + this.name + ".");
+                alias += "---@class " + struct_name + (parent_name ? " : " + parent_name : "");
+            }
+            return alias;
+        }
+        return description + "---@alias " + this.name + " " + this.type.toString();
+    }
+
+    /**
+     * Generates the LuaDoc classes for the variant groups of properties of this concept, which extend the class of its
+     * struct. They belong after the fields of that class, see toClass.
+     * @returns {string|null} The LuaDoc classes, or null if the concept has no variant groups.
+     */
+    toVariantClasses() {
+        if (this.variant_parameter_groups == null) {
+            return null;
+        }
+        const struct_types = this.getStructTypes();
+        return this.variant_parameter_groups.map((group, i) => {
+            let doc = toComment(group.description) + "---@class " + struct_types[i + 1] + " : " + struct_types[0];
+            for (const parameter of group.parameters || []) {
+                doc += "\n" + parameter.toField();
+            }
+            return doc;
+        }).join("\n\n");
+    }
+
+    /**
+     * Generates the Markdown body of the page of this concept: its description and its type. Its properties are
+     * generated separately, see Property.toMarkdown.
+     * @param {function(string): string|null} resolve Gets the URL of the page of a named type, or null if it has none.
+     * @returns {string} The Markdown body.
+     */
+    toMarkdown(resolve) {
+        const sections = [];
+        if (this.abstract) {
+            sections.push("_Abstract._");
+        }
+        if (this.type != null && this.type.complex_type == "union" && (this.type.full_format || this.struct_option != null || this.type.options.some(o => o.complex_type == "literal"))) {
+            const options = this.type.options.map(option => "- " + (option instanceof Type ? option : new Type(option)).toMarkdown(resolve) + (option.description ? " — " + toSingleLine(option.description) : ""));
+            sections.push(...toListSection("Type", options));
+        } else if (this.type != null && this.properties == null) {
+            sections.push("**Type:** " + this.type.toMarkdown(resolve));
+        }
+        return this.getDescriptionSections(sections).join("\n\n");
+    }
+
+    /**
+     * Gets the JSON Schema that a builtin concept corresponds to, like an integer from 0 to 255 for "uint8".
+     * @returns {object} The JSON Schema, which allows anything if there's no corresponding schema.
+     */
+    toBuiltinJSONSchema() {
+        const integer = /^(u?)int(8|16|32|64)?$/.exec(this.name);
+        if (integer != null) {
+            const bits = Number(integer[2] || 32);
+            const schema = { type: "integer" };
+            if (integer[1]) {
+                schema.minimum = 0;
+                if (bits < 64) {
+                    schema.maximum = 2 ** bits - 1;
+                }
+            } else if (bits < 64) {
+                schema.minimum = -(2 ** (bits - 1));
+                schema.maximum = 2 ** (bits - 1) - 1;
+            }
+            return schema;
+        } else if (this.name == "float" || this.name == "double") {
+            return { type: "number" };
+        } else if (this.name == "bool" || this.name == "boolean") {
+            return { type: "boolean" };
+        } else if (this.name == "string") {
+            return { type: "string" };
+        }
+        return {};
+    }
+
+    /**
+     * Generates the JSON Schema for this type. Its properties make up the schema of its struct, which also
+     * applies to the struct options of its type if it's a union.
+     * @param {Array<Property>} properties The properties to include, which may leave out inherited ones.
+     * @param {string|null} parent The name of the type whose schema this one extends, if the properties leave out its ones.
+     * @returns {object} The JSON Schema.
+     */
+    toJSONSchema(properties = this.properties || [], parent = this.parent) {
+        let schema = null;
+        if (this.type != null && this.type.complex_type == "builtin") {
+            schema = this.toBuiltinJSONSchema();
+        } else {
+            const struct_schema = Property.toObjectSchema(properties, parent);
+            schema = this.type != null ? this.type.toJSONSchema(struct_schema) : struct_schema;
+        }
+        if (this.description) {
+            schema = { description: this.description, ...schema };
+        }
+        return schema;
+    }
+
+    /**
+     * Gets the TypeScript type that a builtin concept corresponds to, like "number" for "uint32".
+     * @returns {string|null} The TypeScript type, or null if there's no corresponding type.
+     */
+    toTypeScriptType() {
+        const luals_type = this.toLuaLSType();
+        return luals_type != null ? Type.TYPESCRIPT_TYPES[luals_type] || luals_type : null;
+    }
+
+    /**
+     * Generates the TypeScript declaration for this concept: an interface if it's a struct or table, a type alias otherwise.
+     * Unions that include a struct, and structs with variant groups of properties, are a type alias, with the interfaces
+     * of the struct and its variants in a namespace, see getStructTypes.
+     * @param {Array<string>} members The TypeScript member declarations of the interface, see Property.toTypeScript.
+     * @param {string|null} parent_name The name of the interface of the parent, if it's not the parent itself.
+     * @returns {string} The TypeScript interface or type alias declaration.
+     */
+    toDeclaration(members = [], parent_name = this.parent) {
+        const description = this.toDocComment();
+        if (this.type != null && this.type.complex_type == "builtin") {
+            const ts_type = this.toTypeScriptType();
+            if (ts_type != null) {
+                return description + "type " + this.name + " = " + ts_type + ";";
+            }
+        }
+        const struct_name = this.getStructName();
+        if ((this.properties != null && struct_name == this.name) || this.type == null || this.type.complex_type == "builtin") {
+            return description + toInterface(this.name, parent_name, members);
+        }
+        if (struct_name != this.name || (this.type.complex_type == "union" && (this.type.full_format || this.type.options.some(o => o.complex_type == "literal")))) {
+            // Unions are listed option by option, like for LuaLS, so that the descriptions of the options are kept
+            let alias = description + "type " + this.name + " =";
+            for (const option of this.type.complex_type == "union" ? this.type.options : [this.type]) {
+                const names = option === this.struct_option || option === this.type ? this.getStructTypes() : [Type.toNestedTypeScript(option)];
+                for (const name of names) {
+                    alias += "\n    | " + name + (option.description ? " // " + toSingleLine(option.description) : "");
+                }
+            }
+            alias += ";";
+            if (struct_name != this.name) {
+                // The struct and its variants are declared in a namespace of the same name, like the parameter interfaces of methods
+                const interfaces = [toDocComment(this.variant_parameter_description || "The struct form of " + this.name + ".") + toInterface("struct", parent_name, members)];
+                for (const group of this.variant_parameter_groups || []) {
+                    interfaces.push(toDocComment(group.description) + toInterface(group.name.replace(/\W/g, "_"), "struct", (group.parameters || []).map(parameter => parameter.toTypeScriptField())));
+                }
+                alias += "\n\ndeclare namespace " + this.name + " {\n" + indent(interfaces.join("\n")) + "\n}";
+            }
+            return alias;
+        }
+        return description + "type " + this.name + " = " + this.type.toTypeScript() + ";";
     }
 
 }
@@ -320,12 +1096,42 @@ class DefineValue {
     }
 
     /**
-     * Generates the LuaDoc param string for this define value.
-     * @returns {string} The LuaDoc param string.
+     * Generates the LuaDoc field string for this define value. Each value has its own type, see toClass.
+     * @param {string} parent_name The full name of the define that the value belongs to, like "defines.inventory".
+     * @returns {string} The LuaDoc field string.
      */
-    toField() {
-        let firstLineDesc = this.description.split('\n')[0];
-        return "---@field " + this.name + " \"" + this.name + '"' + firstLineDesc;
+    toField(parent_name) {
+        return toComment(this.description) + "---@field " + this.name + " " + parent_name + "." + this.name;
+    }
+
+    /**
+     * Generates the LuaDoc class string for the type of this define value. It inherits from the define, so that
+     * it's accepted wherever the define is, while still being distinguishable from the other values.
+     * @param {string} parent_name The full name of the define that the value belongs to, like "defines.inventory".
+     * @returns {string} The LuaDoc class string.
+     */
+    toClass(parent_name) {
+        return "---@class " + parent_name + "." + this.name + " : " + parent_name;
+    }
+
+    /**
+     * Generates the Markdown list item for this define value, with an anchor for its full name.
+     * @param {string} parent_name The full name of the define that the value belongs to, like "defines.inventory".
+     * @returns {string} The Markdown list item.
+     */
+    toMarkdown(parent_name) {
+        const description = toSingleLine(this.description);
+        return "- <a id=\"" + parent_name + "." + this.name + "\"></a>`" + this.name + "`" + (description ? " — " + description : "");
+    }
+
+    /**
+     * Generates the TypeScript enum member for this define value.
+     * @param {number} index The position of the value within its define, used when the value has no order.
+     * @returns {string} The TypeScript enum member.
+     */
+    toEnumMember(index) {
+        // The number only matters to TypeScript: enums that aren't const are accessed by name in the generated Lua
+        return toDocComment(this.description) + this.name + " = " + (this.order != null ? this.order : index) + ",";
     }
 
 }
@@ -379,10 +1185,56 @@ class Define extends BasicMember {
 
     /**
      * Generates the LuaDoc class string for this define.
+     * @param {string} parent_name The full name of the define (or root table) that this define belongs to.
      * @returns {string} The LuaDoc class string.
      */
-    toString() {
-        return "---@class defines." + this.name;
+    toString(parent_name = "defines") {
+        return this.toDescription() + "---@class " + parent_name + "." + this.name;
+    }
+
+    /**
+     * Generates the LuaDoc field string for this define, as a member of its parent.
+     * @param {string} parent_name The full name of the define (or root table) that this define belongs to.
+     * @returns {string} The LuaDoc field string.
+     */
+    toField(parent_name = "defines") {
+        return toComment(this.description) + "---@field " + this.name + " " + parent_name + "." + this.name;
+    }
+
+    /**
+     * Generates the Markdown section for this define, and recursively for its subkeys, with anchors for their full names.
+     * @param {string} parent_name The full name of the define (or root table) that this define belongs to.
+     * @param {number} level The level of the heading of this define. Subkeys are one level deeper.
+     * @returns {string} The Markdown section.
+     */
+    toMarkdown(parent_name = "defines", level = 1) {
+        const define_name = parent_name + "." + this.name;
+        const sections = [toHeading(level, define_name, define_name)];
+        sections.push(...this.getDescriptionSections(toListSection("Values", (this.values || []).map(value => value.toMarkdown(define_name)))));
+        for (const subkey of this.subkeys || []) {
+            sections.push(subkey.toMarkdown(define_name, level + 1));
+        }
+        return sections.join("\n\n");
+    }
+
+    /**
+     * Generates the TypeScript declaration for this define, and recursively for its subkeys: an enum of its values,
+     * merged with a namespace of its subkeys. Each value is an enum member, so that it can be used as a type on its own.
+     * @returns {string} The TypeScript enum and/or namespace declaration.
+     */
+    toDeclaration() {
+        let declaration = this.toDocComment();
+        if (this.values != null || this.subkeys == null) {
+            const members = (this.values || []).map((value, i) => value.toEnumMember(i));
+            declaration += "enum " + this.name + " {" + (members.length > 0 ? "\n" + indent(members.join("\n")) + "\n" : "") + "}";
+        }
+        if (this.subkeys != null) {
+            if (this.values != null) {
+                declaration += "\n";
+            }
+            declaration += "namespace " + this.name + " {\n" + indent(this.subkeys.map(subkey => subkey.toDeclaration()).join("\n\n")) + "\n}";
+        }
+        return declaration;
     }
 
 }
@@ -398,6 +1250,11 @@ class Property extends BasicMember {
      */
     visibility = null;
 
+    /**
+     * @type {boolean} Whether the property is deprecated and shouldn't be used anymore.
+     */
+    deprecated = null;
+
     /**
      * @type {string|null} An alternative name for the property. Either this or name can be used to refer to the property.
      */
@@ -431,6 +1288,7 @@ class Property extends BasicMember {
     constructor(json) {
         super(json);
         this.visibility = json.visibility || null;
+        this.deprecated = json.deprecated || false;
         this.alt_name = json.alt_name || null;
         this.override = json.override || false;
         this.type = json.type ? new Type(json.type) : null;
@@ -443,8 +1301,85 @@ class Property extends BasicMember {
      * @returns {string} The LuaDoc field string.
      */
     toField() {
-        let firstLineDesc = this.description.split('\n')[0];
-        return "---@field " + this.name + " " + this.type + " " + firstLineDesc;
+        return this.toDescription() + (this.deprecated ? "---@deprecated\n" : "") + "---@field " + this.name + (this.optional ? "?" : "") + " " + this.type;
+    }
+
+    /**
+     * Generates the Markdown section for this property, headed by its name and type.
+     * @param {function(string): string|null} resolve Gets the URL of the page of a named type, or null if it has none.
+     * @returns {string} The Markdown section.
+     */
+    toMarkdown(resolve) {
+        const sections = [];
+        if (this.deprecated) {
+            sections.push("**Deprecated.**");
+        }
+        if (this.alt_name) {
+            sections.push("_Can also be written as_ `" + this.alt_name + "`.");
+        }
+        if (this.default != null) {
+            sections.push("**Default:** " + (typeof this.default === "object" ? "`" + JSON.stringify(this.default.value) + "`" : this.default));
+        }
+        if (this.override) {
+            sections.push("_Overrides the property of the same name of a parent._");
+        }
+        const heading = toHeading(3, this.name, this.name + (this.optional ? "?" : "") + " :: " + this.type.toMarkdown(resolve));
+        return [heading, ...this.getDescriptionSections(sections)].join("\n\n");
+    }
+
+    /**
+     * Generates the JSON Schema for the value of this property, with its description and default value.
+     * @returns {object} The JSON Schema.
+     */
+    toJSONSchema() {
+        const schema = this.type.toJSONSchema();
+        if (this.description) {
+            schema.description = this.description;
+        }
+        // Defaults can also be textual descriptions, like "Value of `x`", which aren't valid values
+        if (this.default != null && typeof this.default === "object") {
+            schema.default = this.default.value;
+        }
+        if (this.deprecated) {
+            schema.deprecated = true;
+        }
+        return schema;
+    }
+
+    /**
+     * Generates the JSON Schema of an object with the given properties, extending the schema of its parent.
+     * @param {Array<Property>} properties The properties of the object.
+     * @param {string|null} parent The name of the type or prototype that the object extends, if any.
+     * @returns {object} The JSON Schema.
+     */
+    static toObjectSchema(properties, parent = null) {
+        const schema = { type: "object" };
+        if (parent) {
+            schema.allOf = [{ $ref: "#/$defs/" + parent }];
+        }
+        schema.properties = {};
+        const required = [];
+        for (const property of properties) {
+            schema.properties[property.name] = property.toJSONSchema();
+            // Properties with an alternative name can be given under either name, so neither name is required
+            if (property.alt_name) {
+                schema.properties[property.alt_name] = property.toJSONSchema();
+            } else if (!property.optional) {
+                required.push(property.name);
+            }
+        }
+        if (required.length > 0) {
+            schema.required = required;
+        }
+        return schema;
+    }
+
+    /**
+     * Generates the TypeScript property declaration for this property.
+     * @returns {string} The TypeScript property declaration.
+     */
+    toTypeScript() {
+        return this.toDocComment() + toPropertyName(this.name) + (this.optional ? "?" : "") + ": " + this.type.toTypeScript() + ";";
     }
 
 }
@@ -525,7 +1460,67 @@ class Prototype extends BasicMember {
      * @returns {string} The LuaDoc class string.
      */
     toClass() {
-        return "---@class " + this.name;
+        return this.toDescription() + (this.deprecated ? "---@deprecated\n" : "") + "---@class " + this.name + (this.parent ? " : " + this.parent : "");
+    }
+
+    /**
+     * Generates the Markdown body of the page of this prototype: its description, type name and limits. Its
+     * properties are generated separately, see Property.toMarkdown.
+     * @returns {string} The Markdown body.
+     */
+    toMarkdown() {
+        const sections = [];
+        if (this.deprecated) {
+            sections.push("**Deprecated.**");
+        }
+        if (this.abstract) {
+            sections.push("_Abstract._");
+        }
+        if (this.typename != null) {
+            sections.push("**Type name:** `" + this.typename + "`");
+        }
+        if (this.instance_limit != null) {
+            sections.push("**Instance limit:** " + this.instance_limit);
+        }
+        return this.getDescriptionSections(sections).join("\n\n");
+    }
+
+    /**
+     * Generates the JSON Schema for this prototype. It doesn't pin the type, since the schemas of child prototypes
+     * refer to it; see toRawSchema.
+     * @param {Array<Property>} properties The properties to include, which may leave out inherited ones.
+     * @param {string|null} parent The name of the prototype whose schema this one extends, if the properties leave out its ones.
+     * @returns {object} The JSON Schema.
+     */
+    toJSONSchema(properties = this.properties || [], parent = this.parent) {
+        const schema = Property.toObjectSchema(properties, parent);
+        if (this.deprecated) {
+            schema.deprecated = true;
+        }
+        return this.description ? { description: this.description, ...schema } : schema;
+    }
+
+    /**
+     * Generates the JSON Schema for the prototypes of this one in data.raw, which refers to the schema of toJSONSchema
+     * and requires the type name of this prototype as the type.
+     * @returns {object} The JSON Schema.
+     */
+    toRawSchema() {
+        const schema = { $ref: `#/$defs/${this.name}` };
+        if (this.properties.some(p => p.name === "type")) {
+            return schema;
+        }
+        return { allOf: [schema, { properties: { type: { const: this.typename } }, required: ["type"] }] };
+    }
+
+    /**
+     * Generates the TypeScript interface declaration for this prototype.
+     * @param {Array<string>} members The TypeScript member declarations of the interface, see Property.toTypeScript.
+     * @param {string|null} parent_name What the interface extends, if it's not the parent itself.
+     * @returns {string} The TypeScript interface declaration.
+     */
+    toDeclaration(members = [], parent_name = this.parent) {
+        return this.toDocComment() + toInterface(this.name, parent_name, members);
     }
 
 }
@@ -573,6 +1568,72 @@ class Parameter {
         this.optional = json.optional || false;
     }
 
+    /**
+     * Generates the LuaDoc param string for this parameter.
+     * @returns {string} The LuaDoc param string.
+     */
+    toParam() {
+        let description = toSingleLine(this.description);
+        let typeStr = this.optional ? Type.toNestedString(this.type) + "?" : this.type.toString();
+        return "---@param " + this.name + " " + typeStr + (description ? " " + description : "");
+    }
+
+    /**
+     * Generates the LuaDoc return string for this parameter, when it's used as a return value.
+     * @returns {string} The LuaDoc return string.
+     */
+    toReturn() {
+        let description = toSingleLine(this.description);
+        let typeStr = this.optional ? Type.toNestedString(this.type) + "?" : this.type.toString();
+        return "---@return " + typeStr + (this.name ? " " + this.name : "") + (description ? " # " + description : "");
+    }
+
+    /**
+     * Generates the LuaDoc field string for this parameter.
+     * @returns {string} The LuaDoc field string.
+     */
+    toField() {
+        return toComment(this.description) + "---@field " + this.name + (this.optional ? "?" : "") + " " + this.type;
+    }
+
+    /**
+     * Generates the Markdown list item for this parameter, or return value if it has no name.
+     * @param {function(string): string|null} resolve Gets the URL of the page of a named type, or null if it has none.
+     * @returns {string} The Markdown list item.
+     */
+    toMarkdown(resolve) {
+        let markdown = "- " + (this.name ? "`" + this.name + "` :: " : "") + this.type.toMarkdown(resolve);
+        if (this.optional) {
+            markdown += " _(optional)_";
+        }
+        if (this.description) {
+            // Continuation lines are indented so that they stay part of the list item
+            markdown += " — " + this.description.split('\n').join("\n  ");
+        }
+        return markdown;
+    }
+
+    /**
+     * Generates the TypeScript property declaration for this parameter, for when it's part of a table.
+     * @returns {string} The TypeScript property declaration.
+     */
+    toTypeScriptField() {
+        return toDocComment(this.description) + toPropertyName(this.name) + (this.optional ? "?" : "") + ": " + this.type.toTypeScript() + ";";
+    }
+
+    /**
+     * Generates the TypeScript parameter for this parameter, in a function signature.
+     * @param {boolean} can_be_omitted Whether the parameter can be marked optional. TypeScript only allows this if no required parameters follow.
+     * @returns {string} The TypeScript parameter.
+     */
+    toTypeScriptParam(can_be_omitted = true) {
+        const name = toParameterName(this.name);
+        if (!this.optional) {
+            return name + ": " + this.type.toTypeScript();
+        }
+        return can_be_omitted ? name + "?: " + this.type.toTypeScript() : name + ": " + Type.toNestedTypeScript(this.type) + " | undefined";
+    }
+
 }
 
 /**
@@ -643,9 +1704,36 @@ class VariadicParameter {
      * Creates a new VariadicParameter instance from the given JSON data.
      * @param {object} json The parsed JSON from the documentation
      */
-    constructor(json) {
-        this.type = json.type ? new Type(json.type) : null;
-        this.description = json.description;
+    constructor(json) {
+        this.type = json.type ? new Type(json.type) : null;
+        this.description = json.description;
+    }
+
+    /**
+     * Generates the LuaDoc param string for this variadic parameter.
+     * @returns {string} The LuaDoc param string.
+     */
+    toParam() {
+        let description = toSingleLine(this.description);
+        return "---@param ... " + (this.type || "any") + (description ? " " + description : "");
+    }
+
+    /**
+     * Generates the Markdown list item for this variadic parameter.
+     * @param {function(string): string|null} resolve Gets the URL of the page of a named type, or null if it has none.
+     * @returns {string} The Markdown list item.
+     */
+    toMarkdown(resolve) {
+        const description = toSingleLine(this.description);
+        return "- `...` :: " + (this.type != null ? this.type.toMarkdown(resolve) : "Any") + (description ? " — " + description : "");
+    }
+
+    /**
+     * Generates the TypeScript rest parameter for this variadic parameter.
+     * @returns {string} The TypeScript rest parameter.
+     */
+    toTypeScriptParam() {
+        return "...args: " + (this.type != null ? Type.toNestedTypeScript(this.type) : "any") + "[]";
     }
 
 }
@@ -720,6 +1808,39 @@ class EventRaised {
         this.optional = json.optional;
     }
 
+    /**
+     * Generates a Markdown list item describing when this event is raised.
+     * @returns {string} The Markdown list item.
+     */
+    toMarkdown() {
+        const timeframes = {
+            instantly: "instantly",
+            current_tick: "later in the current tick",
+            future_tick: "in a future tick",
+        };
+        let markdown = "- `" + this.name + "` " + (timeframes[this.timeframe] || this.timeframe);
+        if (this.optional) {
+            markdown += " (optionally)";
+        }
+        let description = toSingleLine(this.description);
+        if (description) {
+            markdown += ": " + description;
+        }
+        return markdown;
+    }
+
+    /**
+     * Generates the Markdown section listing the given raised events.
+     * @param {Array<EventRaised>|null} raises The raised events.
+     * @returns {Array<string>} The section, or no section at all if no events are raised.
+     */
+    static toSection(raises) {
+        if (raises == null || raises.length === 0) {
+            return [];
+        }
+        return ["**Raises:**\n" + raises.map(raised => raised.toMarkdown()).join("\n")];
+    }
+
 }
 
 /**
@@ -733,6 +1854,11 @@ class Attribute extends BasicMember {
      */
     visibility = null;
 
+    /**
+     * @type {boolean} Whether the attribute is deprecated and shouldn't be used anymore.
+     */
+    deprecated = null;
+
     /**
      * @type {Array<EventRaised>|null} A list of events that this attribute might raise when written to.
      */
@@ -765,6 +1891,7 @@ class Attribute extends BasicMember {
     constructor(json) {
         super(json);
         this.visibility = json.visibility || null;
+        this.deprecated = json.deprecated || false;
 
         if (Array.isArray(json.raises)) {
             this.raises = [];
@@ -783,22 +1910,114 @@ class Attribute extends BasicMember {
     }
 
     /**
-     * Generates the LuaDoc field string for this attribute.
+     * Generates the LuaDoc field string for this attribute. The field has the type that the attribute is read as, and
+     * its description is tagged with [R], [W] or [RW] depending on whether it can be read from and/or written to.
      * @returns {string} The LuaDoc field string.
      */
     toField() {
-        let firstLineDesc = this.description.split('\n')[0];
         let typeStr = "";
+        let access = "";
         if (this.read_type != null && this.write_type != null) {
-            typeStr = this.read_type.toString() + " | " + this.write_type.toString();
+            typeStr = this.read_type.toString();
+            access = "[RW]";
+            if (this.write_type.toString() !== typeStr) {
+                access += " (write: " + this.write_type.toString() + ")";
+            }
         } else if (this.read_type != null) {
             typeStr = this.read_type.toString();
+            access = "[R]";
         } else if (this.write_type != null) {
             typeStr = this.write_type.toString();
+            access = "[W]";
         } else {
             typeStr = "any";
         }
-        return "---@field " + this.name + " " + typeStr + " " + firstLineDesc;
+        return this.toDescription([...EventRaised.toSection(this.raises), ...toSubclassesSection(this.subclasses)]) + (this.deprecated ? "---@deprecated\n" : "") + "---@field " + this.name + (this.optional ? "?" : "") + " " + typeStr + (access ? " " + access : "");
+    }
+
+    /**
+     * Generates the LuaDoc operator string for this attribute, when it's used as an operator of a class.
+     * @returns {string|null} The LuaDoc operator string, or null if the attribute isn't a known operator.
+     */
+    toOperator() {
+        const typeStr = (this.read_type || this.write_type || "any").toString();
+        if (this.name === "length") {
+            return "---@operator len: " + typeStr;
+        } else if (this.name === "index") {
+            return this.toDescription() + "---@field [integer] " + typeStr;
+        }
+        return null;
+    }
+
+    /**
+     * Generates the Markdown section for this attribute, headed by its name and the type it's read as.
+     * @param {function(string): string|null} resolve Gets the URL of the page of a named type, or null if it has none.
+     * @returns {string} The Markdown section.
+     */
+    toMarkdown(resolve) {
+        const type = this.read_type || this.write_type;
+        let access = "";
+        if (this.read_type != null && this.write_type != null) {
+            access = "_Read/Write._";
+            if (this.write_type.toString() !== this.read_type.toString()) {
+                access += " Written as " + this.write_type.toMarkdown(resolve) + ".";
+            }
+        } else if (this.read_type != null) {
+            access = "_Read-only._";
+        } else if (this.write_type != null) {
+            access = "_Write-only._";
+        }
+        const sections = [];
+        if (this.deprecated) {
+            sections.push("**Deprecated.**");
+        }
+        if (access) {
+            sections.push(access);
+        }
+        sections.push(...EventRaised.toSection(this.raises), ...toSubclassesSection(this.subclasses));
+        const heading = toHeading(3, this.name, this.name + (this.optional ? "?" : "") + " :: " + (type != null ? type.toMarkdown(resolve) : "Any"));
+        return [heading, ...this.getDescriptionSections(sections)].join("\n\n");
+    }
+
+    /**
+     * Generates the TypeScript property declaration for this attribute. Read-only attributes are readonly, and
+     * attributes with a different write type become a getter and setter pair.
+     * @returns {string} The TypeScript property or accessor declarations.
+     */
+    toTypeScript() {
+        const description = this.toDocComment([...EventRaised.toSection(this.raises), ...toSubclassesSection(this.subclasses)]);
+        const name = toPropertyName(this.name);
+        const optional = this.optional ? "?" : "";
+        if (this.read_type != null && this.write_type != null) {
+            const read_type = this.read_type.toTypeScript();
+            const write_type = this.write_type.toTypeScript();
+            if (read_type !== write_type) {
+                const getter_type = this.optional ? Type.toNestedTypeScript(this.read_type) + " | undefined" : read_type;
+                return description + "get " + name + "(): " + getter_type + ";\nset " + name + "(value: " + write_type + ");";
+            }
+            return description + name + optional + ": " + read_type + ";";
+        } else if (this.read_type != null) {
+            return description + "readonly " + name + optional + ": " + this.read_type.toTypeScript() + ";";
+        } else if (this.write_type != null) {
+            return description + "set " + name + "(value: " + this.write_type.toTypeScript() + ");";
+        }
+        return description + name + optional + ": any;";
+    }
+
+    /**
+     * Generates the TypeScript declaration for this attribute, when it's used as an operator of a class. The length
+     * operator uses the LuaLengthMethod of TypeScriptToLua, which compiles to the # operator.
+     * @returns {string|null} The TypeScript declaration, or null if the attribute isn't a known operator.
+     */
+    toTypeScriptOperator() {
+        const type = this.read_type || this.write_type;
+        const typeStr = type != null ? type.toTypeScript() : "any";
+        if (this.name === "length") {
+            return "readonly length: LuaLengthMethod<" + typeStr + ">;";
+        } else if (this.name === "index") {
+            return this.toDocComment() + "readonly [index: number]: " + typeStr + ";";
+        }
+        return null;
     }
 
 }
@@ -814,6 +2033,11 @@ class Method extends BasicMember {
      */
     visibility = null;
 
+    /**
+     * @type {boolean} Whether the method is deprecated and shouldn't be used anymore.
+     */
+    deprecated = null;
+
     /**
      * @type {Array<EventRaised>|null} A list of events that this method might raise when called.
      */
@@ -861,6 +2085,7 @@ class Method extends BasicMember {
     constructor(json) {
         super(json);
         this.visibility = json.visibility || null;
+        this.deprecated = json.deprecated || false;
 
         if (Array.isArray(json.raises)) {
             this.raises = [];
@@ -910,32 +2135,245 @@ class Method extends BasicMember {
     }
 
     /**
-     * Generates the LuaDoc field string for this method.
-     * @returns {string} The LuaDoc field string.
+     * Generates the LuaDoc operator string for this method, when it's used as an operator of a class.
+     * @returns {string|null} The LuaDoc operator string, or null if the method isn't a known operator.
      */
-    toField() {
-        let firstLineDesc = this.description.split('\n')[0];
-        let params = "";
-        if (this.parameters != null) {
-            for (let i = 0; i < this.parameters.length; i++) {
-                const parameter = this.parameters[i];
-                params += parameter.name + ':' + parameter.type.toString();
-                if (i < this.parameters.length - 1) {
-                    params += ", ";
-                }
+    toOperator() {
+        const params = (this.parameters || []).map(p => p.type.toString());
+        const returns = (this.return_values || []).map(r => r.type.toString());
+        const returnStr = returns.length > 0 ? returns.join(", ") : "nil";
+        if (this.name === "call") {
+            return "---@operator call" + (params.length > 0 ? "(" + params.join(", ") + ")" : "") + ": " + returnStr;
+        } else if (this.name === "index" && params.length > 0) {
+            return "---@field [" + params[0] + "] " + returnStr;
+        } else if (this.name === "length") {
+            return "---@operator len: " + returnStr;
+        }
+        return null;
+    }
+
+    /**
+     * Generates the LuaDoc function stub for this method, including its parameters and return values.
+     * @param {string|null} parent_name The name of the class (or table) that the method belongs to, or null for global functions.
+     * @param {Array<string>} overloads Additional LuaDoc overload strings to attach to the function.
+     * @param {string|null} table_name The name of the table that the stub is declared on, if it's not the class (or table) itself, like a narrowed class.
+     * @returns {string} The LuaDoc function stub.
+     */
+    toFunction(parent_name, overloads = [], table_name = parent_name) {
+        let doc = "";
+        doc += this.toDescription([...EventRaised.toSection(this.raises), ...toSubclassesSection(this.subclasses)]);
+        if (this.deprecated) {
+            doc += "---@deprecated\n";
+        }
+        for (const overload of overloads) {
+            doc += overload + "\n";
+        }
+        const names = [];
+        if (this.format != null && this.format.takes_table) {
+            // The parameters are the fields of a single table, which gets its own class (see toParamClass)
+            let param_type = this.getParamClassType(parent_name);
+            if (this.format.takes_optional) {
+                param_type = this.variant_parameter_groups != null ? "(" + param_type + ")?" : param_type + "?";
+            }
+            doc += "---@param param " + param_type + "\n";
+            names.push("param");
+        } else if (this.parameters != null) {
+            for (const parameter of this.parameters) {
+                doc += parameter.toParam() + "\n";
+                names.push(parameter.name);
+            }
+        }
+        if (this.variadic_parameter != null) {
+            doc += this.variadic_parameter.toParam() + "\n";
+            names.push("...");
+        }
+        if (this.return_values != null) {
+            for (const return_value of this.return_values) {
+                doc += return_value.toReturn() + "\n";
             }
         }
-        let returns = null;
+        doc += "function " + (table_name ? table_name + "." : "") + this.name + "(" + names.join(", ") + ") end";
+        return doc;
+    }
+
+    /**
+     * Generates the Markdown section for this method, headed by its signature in the notation of the API website:
+     * methods that take a table use braces instead of parentheses. Its parameters and return values are listed after its description.
+     * @param {function(string): string|null} resolve Gets the URL of the page of a named type, or null if it has none.
+     * @returns {string} The Markdown section.
+     */
+    toMarkdown(resolve) {
+        const takes_table = this.format != null && this.format.takes_table;
+        const names = (this.parameters || []).map(parameter => parameter.name + (takes_table ? "=…" : parameter.optional ? "?" : ""));
+        if (this.variadic_parameter != null) {
+            names.push("...");
+        }
+        let signature = this.name + (takes_table ? "{" + names.join(", ") + "}" : "(" + names.join(", ") + ")");
         if (this.return_values != null && this.return_values.length > 0) {
-            for (let i = 0; i < this.return_values.length; i++) {
-                const return_value = this.return_values[i];
-                returns += return_value.type.toString();
-                if (i < this.return_values.length - 1) {
-                    returns += ", ";
+            signature += " → " + this.return_values.map(return_value => return_value.type.toMarkdown(resolve)).join(", ");
+        }
+        const sections = [];
+        if (this.deprecated) {
+            sections.push("**Deprecated.**");
+        }
+        sections.push(...EventRaised.toSection(this.raises), ...toSubclassesSection(this.subclasses));
+        const parameters = (this.parameters || []).map(parameter => parameter.toMarkdown(resolve));
+        if (this.variadic_parameter != null) {
+            parameters.push(this.variadic_parameter.toMarkdown(resolve));
+        }
+        sections.push(...toListSection("Parameters", parameters));
+        if (this.variant_parameter_groups != null) {
+            if (this.variant_parameter_description) {
+                sections.push(this.variant_parameter_description);
+            }
+            for (const group of this.variant_parameter_groups) {
+                const title = "Additional parameters for \"" + group.name + "\"" + (group.description ? " (" + toSingleLine(group.description) + ")" : "");
+                sections.push(...toListSection(title, (group.parameters || []).map(parameter => parameter.toMarkdown(resolve))));
+            }
+        }
+        sections.push(...toListSection("Returns", (this.return_values || []).map(return_value => return_value.toMarkdown(resolve))));
+        return [toHeading(3, this.name, signature), ...this.getDescriptionSections(sections)].join("\n\n");
+    }
+
+    /**
+     * Generates the TypeScript parameters of this method. A table of parameters is a single parameter, and optional
+     * parameters followed by required ones can't be omitted, only passed as undefined.
+     * @param {string|null} parent_name The name of the class (or table) that the method belongs to, needed for methods that take a table.
+     * @returns {Array<string>} The TypeScript parameters.
+     */
+    getTypeScriptParams(parent_name) {
+        const params = [];
+        if (this.format != null && this.format.takes_table) {
+            params.push("param" + (this.format.takes_optional ? "?" : "") + ": " + this.getParamClassType(parent_name).split("|").join(" | "));
+        } else if (this.parameters != null) {
+            for (let i = 0; i < this.parameters.length; i++) {
+                const can_be_omitted = this.parameters.slice(i + 1).every(parameter => parameter.optional);
+                params.push(this.parameters[i].toTypeScriptParam(can_be_omitted));
+            }
+        }
+        if (this.variadic_parameter != null) {
+            params.push(this.variadic_parameter.toTypeScriptParam());
+        }
+        return params;
+    }
+
+    /**
+     * Generates the TypeScript declaration for this method: a method signature of its class, or a global function.
+     * @param {string|null} parent_name The name of the class (or table) that the method belongs to, or null for global functions.
+     * @param {Array<string>} overloads Additional TypeScript signatures to declare before the method's own signature.
+     * @returns {string} The TypeScript declaration.
+     */
+    toTypeScript(parent_name, overloads = []) {
+        let declaration = "";
+        declaration += this.toDocComment([...EventRaised.toSection(this.raises), ...toSubclassesSection(this.subclasses)]);
+        const prefix = parent_name ? "" : "declare function ";
+        for (const overload of overloads) {
+            declaration += prefix + overload + "\n";
+        }
+        declaration += prefix + this.name + "(" + this.getTypeScriptParams(parent_name).join(", ") + "): " + toReturnType(this.return_values) + ";";
+        return declaration;
+    }
+
+    /**
+     * Generates the TypeScript declaration for this method, when it's used as an operator of a class.
+     * @param {string} parent_name The name of the class that the operator belongs to.
+     * @returns {string|null} The TypeScript declaration, or null if the method isn't a known operator.
+     */
+    toTypeScriptOperator(parent_name) {
+        const returns = toReturnType(this.return_values);
+        if (this.name === "call") {
+            return this.toDocComment() + "(" + this.getTypeScriptParams(parent_name).join(", ") + "): " + returns + ";";
+        } else if (this.name === "index" && this.parameters != null && this.parameters.length > 0) {
+            const key = this.parameters[0].type;
+            if (typeof key === "string" && /^(u?int(8|16|32|64)?|integer)$/.test(key)) {
+                return this.toDocComment() + "readonly [index: number]: " + returns + ";";
+            }
+            // A string index signature would clash with the named members, so keys go through a get method
+            return this.toDocComment() + "readonly get: LuaTableGetMethod<" + Type.toNestedTypeScript(key) + ", " + returns + ">;";
+        } else if (this.name === "length") {
+            return "readonly length: LuaLengthMethod<" + returns + ">;";
+        }
+        return null;
+    }
+
+    /**
+     * Generates the TypeScript interfaces for the table of parameters of this method, named like the LuaDoc
+     * classes of toParamClass. They belong in a namespace named after the class (or table) of the method.
+     * @param {boolean} top_level Whether the interfaces are declared at the top level, instead of in a namespace.
+     * @returns {string|null} The TypeScript interface declarations, or null if the method doesn't take a table.
+     */
+    toParamInterface(top_level = false) {
+        if (this.format == null || !this.format.takes_table) {
+            return null;
+        }
+        const param_interface = this.name + "_param";
+        let declaration = "";
+        declaration += toDocComment(this.variant_parameter_description);
+        declaration += toInterface(param_interface, null, (this.parameters || []).map(parameter => parameter.toTypeScriptField()));
+        if (this.variant_parameter_groups != null) {
+            const groups = this.variant_parameter_groups.map(group => toDocComment(group.description) + toInterface(group.name.replace(/\W/g, "_"), param_interface, (group.parameters || []).map(parameter => parameter.toTypeScriptField())));
+            declaration += "\n" + (top_level ? "declare " : "") + "namespace " + param_interface + " {\n" + indent(groups.join("\n")) + "\n}";
+        }
+        return declaration;
+    }
+
+    /**
+     * Gets the name of the class describing the table of parameters of this method, if it takes a table.
+     * @param {string} parent_name The name of the class (or table) that the method belongs to.
+     * @returns {string} The name of the parameter class.
+     */
+    getParamClassName(parent_name) {
+        return (parent_name ? parent_name + "." : "") + this.name + "_param";
+    }
+
+    /**
+     * Gets the type of the table of parameters of this method: the parameter class, or a union of it and its variants.
+     * @param {string} parent_name The name of the class (or table) that the method belongs to.
+     * @returns {string} The type of the table of parameters.
+     */
+    getParamClassType(parent_name) {
+        const param_class = this.getParamClassName(parent_name);
+        let param_type = param_class;
+        if (this.variant_parameter_groups != null) {
+            for (const group of this.variant_parameter_groups) {
+                param_type += "|" + param_class + "." + group.name.replace(/\W/g, "_");
+            }
+        }
+        return param_type;
+    }
+
+    /**
+     * Generates the LuaDoc classes for the table of parameters of this method. Each variant parameter group
+     * becomes a subclass of the parameter class, named after the group.
+     * @param {string} parent_name The name of the class (or table) that the method belongs to.
+     * @returns {string|null} The LuaDoc class strings, or null if the method doesn't take a table.
+     */
+    toParamClass(parent_name) {
+        if (this.format == null || !this.format.takes_table) {
+            return null;
+        }
+        const param_class = this.getParamClassName(parent_name);
+        let doc = "";
+        doc += toComment(this.variant_parameter_description);
+        doc += "---@class " + param_class;
+        if (this.parameters != null) {
+            for (const parameter of this.parameters) {
+                doc += "\n" + parameter.toField();
+            }
+        }
+        if (this.variant_parameter_groups != null) {
+            for (const group of this.variant_parameter_groups) {
+                doc += "\n\n";
+                doc += toComment(group.description);
+                doc += "---@class " + param_class + "." + group.name.replace(/\W/g, "_") + " : " + param_class;
+                if (group.parameters != null) {
+                    for (const parameter of group.parameters) {
+                        doc += "\n" + parameter.toField();
+                    }
                 }
             }
         }
-        return "---@field " + this.name + " fun(" + params + ")" + (returns ? ": " + returns : "") + " " + firstLineDesc;
+        return doc;
     }
 
 }
@@ -946,11 +2384,26 @@ class Method extends BasicMember {
  */
 class Class extends BasicMember {
 
+    /**
+     * The classes that the API uses as generic containers (see the LuaCustomTable and LuaLazyLoadedValue complex types),
+     * with the names of their type parameters. The last type parameter is the type of the contained values.
+     * @type {Object<string, Array<string>>}
+     */
+    static GENERICS = {
+        LuaCustomTable: ["K", "V"],
+        LuaLazyLoadedValue: ["T"],
+    };
+
     /**
      * @type {Array<string>|null} The list of game expansions needed to use this class. If not present, no restrictions apply. Possible values: "space_age".
      */
     visibility = null;
 
+    /**
+     * @type {boolean} Whether the class is deprecated and shouldn't be used anymore.
+     */
+    deprecated = null;
+
     /**
      * @type {string|null} The name of the class that this class inherits from.
      */
@@ -983,6 +2436,7 @@ class Class extends BasicMember {
     constructor(json) {
         super(json);
         this.visibility = json.visibility || null;
+        this.deprecated = json.deprecated || false;
         this.parent = json.parent || null;
         this.abstract = json.abstract || false;
 
@@ -1031,7 +2485,249 @@ class Class extends BasicMember {
      * @returns {string} The LuaDoc class string.
      */
     toClass() {
-        return "---@class " + this.name;
+        const generics = Class.GENERICS[this.name];
+        return this.toDescription() + (this.deprecated ? "---@deprecated\n" : "") + "---@class " + this.name + (generics ? "<" + generics.join(", ") + ">" : "") + (this.parent ? " : " + this.parent : "");
+    }
+
+    /**
+     * Generates the LuaDoc operator strings for this class. For generic classes, the index and call operators
+     * are expressed in terms of the type parameters instead.
+     * @returns {Array<string>} The LuaDoc operator strings.
+     */
+    toOperators() {
+        const operators = [];
+        const generics = Class.GENERICS[this.name];
+        for (const operator of this.operators || []) {
+            if (generics && operator.name === "index") {
+                operators.push("---@field [" + generics[0] + "] " + generics[generics.length - 1]);
+            } else if (generics && operator.name === "call") {
+                operators.push("---@operator call: " + generics[generics.length - 1]);
+            } else {
+                const operator_string = operator.toOperator();
+                if (operator_string != null) {
+                    operators.push(operator_string);
+                }
+            }
+        }
+        return operators;
+    }
+
+    /**
+     * Generates the Markdown body of the page of this class: its description. Its members are generated
+     * separately, see Attribute.toMarkdown and Method.toMarkdown.
+     * @returns {string} The Markdown body.
+     */
+    toMarkdown() {
+        const sections = [];
+        if (this.deprecated) {
+            sections.push("**Deprecated.**");
+        }
+        if (this.abstract) {
+            sections.push("_Abstract._");
+        }
+        return this.getDescriptionSections(sections).join("\n\n");
+    }
+
+    /**
+     * Generates the TypeScript interface declaration for this class.
+     * @param {Array<string>} members The TypeScript member declarations of the interface, see Attribute.toTypeScript and Method.toTypeScript.
+     * @returns {string} The TypeScript interface declaration.
+     */
+    toDeclaration(members = []) {
+        const generics = Class.GENERICS[this.name];
+        // Keys of LuaCustomTable are accessed through LuaTable-style methods, which need non-nil keys
+        const parameters = generics && generics.map((generic, i) => generics.length > 1 && i === 0 ? generic + " extends AnyNotNil" : generic);
+        return this.toDocComment() + toInterface(this.name + (parameters ? "<" + parameters.join(", ") + ">" : ""), this.parent, members);
+    }
+
+    /**
+     * Generates the TypeScript declarations for the operators of this class, like toOperators does for LuaDoc.
+     * @returns {Array<string>} The TypeScript declarations.
+     */
+    toTypeScriptOperators() {
+        const operators = [];
+        const generics = Class.GENERICS[this.name];
+        for (const operator of this.operators || []) {
+            if (generics && operator.name === "index") {
+                const [key, value] = generics;
+                operators.push("readonly get: LuaTableGetMethod<" + key + ", " + value + ">;");
+                operators.push("readonly set: LuaTableSetMethod<" + key + ", " + value + ">;");
+            } else if (generics && operator.name === "call") {
+                operators.push("(): " + generics[generics.length - 1] + ";");
+            } else {
+                const operator_string = operator.toTypeScriptOperator(this.name);
+                if (operator_string != null) {
+                    operators.push(operator_string);
+                }
+            }
+        }
+        return operators;
+    }
+
+}
+
+/**
+ * @class Event
+ * @see https://lua-api.factorio.com/latest/auxiliary/json-docs-runtime.html#Event
+ */
+class Event extends BasicMember {
+
+    /**
+     * @type {Array<string>|null} The list of game expansions needed to use this event. If not present, no restrictions apply. Possible values: "space_age".
+     */
+    visibility = null;
+
+    /**
+     * @type {Array<Parameter>} The event-specific information that is provided.
+     */
+    data = null;
+
+    /**
+     * @type {string|null} The name of the filter concept that applies to this event.
+     */
+    filter = null;
+
+    /**
+     * Creates a new Event instance from the given JSON data.
+     * @param {object} json The parsed JSON from the documentation
+     */
+    constructor(json) {
+        super(json);
+        this.visibility = json.visibility || null;
+
+        this.data = [];
+        if (Array.isArray(json.data)) {
+            for (const data_json of json.data) {
+                const data = new Parameter(data_json);
+                this.data.push(data);
+            }
+        }
+
+        this.filter = json.filter || null;
+    }
+
+    /**
+     * Generates the LuaDoc class string for this event.
+     * @returns {string} The LuaDoc class string.
+     */
+    toClass() {
+        return this.toDescription() + "---@class EventData." + this.name;
+    }
+
+    /**
+     * Generates the LuaDoc overload string for registering a handler to this event with script.on_event.
+     * @returns {string} The LuaDoc overload string.
+     */
+    toOverload() {
+        let params = "event: defines.events." + this.name + ", handler?: fun(event: EventData." + this.name + ")";
+        if (this.filter != null) {
+            params += ", filters?: " + this.filter + "[]";
+        }
+        return "---@overload fun(" + params + ")";
+    }
+
+    /**
+     * Generates the Markdown body of the page of this event: its description, filter and the data it provides.
+     * @param {function(string): string|null} resolve Gets the URL of the page of a named type, or null if it has none.
+     * @returns {string} The Markdown body.
+     */
+    toMarkdown(resolve) {
+        const sections = [];
+        if (this.filter != null) {
+            sections.push("**Filter:** " + new Type(this.filter).toMarkdown(resolve));
+        }
+        sections.push(...toListSection("Data", this.data.map(data => data.toMarkdown(resolve))));
+        return this.getDescriptionSections(sections).join("\n\n");
+    }
+
+    /**
+     * Generates the TypeScript interface declaration for this event, to be placed in the EventData namespace.
+     * @param {Array<string>} members The TypeScript member declarations of the interface, see Parameter.toTypeScriptField.
+     * @returns {string} The TypeScript interface declaration.
+     */
+    toDeclaration(members = []) {
+        return this.toDocComment() + toInterface(this.name, null, members);
+    }
+
+    /**
+     * Generates the TypeScript signature for registering a handler to this event with script.on_event.
+     * @returns {string} The TypeScript signature.
+     */
+    toTypeScriptOverload() {
+        let params = "event: defines.events." + this.name + ", handler?: (event: EventData." + this.name + ") => void";
+        if (this.filter != null) {
+            params += ", filters?: " + this.filter + "[]";
+        }
+        return "on_event(" + params + "): void;";
+    }
+
+}
+
+/**
+ * @class GlobalObject
+ * @see https://lua-api.factorio.com/latest/auxiliary/json-docs-runtime.html#GlobalObject
+ */
+class GlobalObject {
+
+    /**
+     * @type {string} The global variable name of the object.
+     */
+    name = null;
+
+    /**
+     * @type {number} The order of the global object as shown in the HTML.
+     */
+    order = null;
+
+    /**
+     * @type {string} The text description of the global object.
+     */
+    description = null;
+
+    /**
+     * @type {Type} The class name of the global object.
+     */
+    type = null;
+
+    /**
+     * Creates a new GlobalObject instance from the given JSON data.
+     * @param {object} json The parsed JSON from the documentation
+     */
+    constructor(json) {
+        this.name = json.name;
+        this.order = json.order;
+        this.description = json.description || '';
+        this.type = json.type ? new Type(json.type) : null;
+    }
+
+    /**
+     * Generates the LuaDoc global variable declaration for this global object.
+     * @returns {string} The LuaDoc global variable declaration.
+     */
+    toGlobal() {
+        let doc = "";
+        doc += toComment(this.description);
+        doc += "---@type " + (this.type || "any") + "\n";
+        doc += this.name + " = nil";
+        return doc;
+    }
+
+    /**
+     * Generates the Markdown section for this global object, headed by its name and type.
+     * @param {function(string): string|null} resolve Gets the URL of the page of a named type, or null if it has none.
+     * @returns {string} The Markdown section.
+     */
+    toMarkdown(resolve) {
+        const heading = toHeading(3, this.name, this.name + " :: " + (this.type != null ? this.type.toMarkdown(resolve) : "Any"));
+        return this.description ? heading + "\n\n" + this.description : heading;
+    }
+
+    /**
+     * Generates the TypeScript global constant declaration for this global object.
+     * @returns {string} The TypeScript global constant declaration.
+     */
+    toDeclaration() {
+        return toDocComment(this.description) + "declare const " + this.name + ": " + (this.type != null ? this.type.toTypeScript() : "any") + ";";
     }
 
 }
@@ -1043,5 +2739,8 @@ module.exports = {
     Define,
     Property,
     Class,
+    Event,
+    GlobalObject,
+    Method,
     Prototype
 };
\ No newline at end of file
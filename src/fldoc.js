@@ -1,7 +1,8 @@
-const { Class, Concept, Define, Prototype } = require("./classes");
+const { Class, Concept, Define, Event, GlobalObject, Method, Prototype } = require("./classes");
 const { name, version, description, repository } = require("../package.json");
-const { program } = require("commander");
+const { program, Option } = require("commander");
 const fs = require("fs");
+const path = require("path");
 
 program
     .name(name)
@@ -9,7 +10,11 @@ program
     .version(version)
     .argument("<prototype-json>", "Path to the prototype JSON file")
     .argument("<runtime-json>", "Path to the runtime JSON file")
-    .option("-o, --output <output-dir>", "Directory to output the generated documentation");
+    .option("-o, --output <output-dir>", "Directory to output the generated documentation")
+    .addOption(new Option("--format <format>", "Format of the generated documentation: LuaLS annotations, TypeScript declarations for TypeScriptToLua, an offline Markdown reference site, or a JSON Schema for prototype data").choices(["luals", "typescript", "markdown", "jsonschema"]).default("luals"))
+    .option("--visibility <feature-set>", "Only include what's available in the given feature set: \"base\", or a comma-separated list of expansions like \"space_age\"")
+    .option("--strict", "Fail instead of only warning when types refer to names that aren't generated")
+    .option("--narrow-subclasses", "Move members restricted to certain subclasses into narrowed classes, like LuaEntity.Inserter");
 
 program.parse();
 
@@ -18,7 +23,11 @@ const args = program.args;
 const opts = program.opts();
 const prototype_path = args[0];
 const runtime_path = args[1];
-const output_dir = opts.first || "gen";
+const output_dir = opts.output || "gen";
+const format = opts.format;
+const narrow_subclasses = opts.narrowSubclasses || false;
+const strict = opts.strict || false;
+const visible_expansions = opts.visibility == null ? null : opts.visibility === "base" ? [] : opts.visibility.split(",");
 
 if (!fs.existsSync(prototype_path)) {
     console.error(`Error: The file "${prototype_path}" does not exist.`);
@@ -52,94 +61,434 @@ const concepts = runtime_json.concepts;
 console.log(`Loaded ${concepts.length} concepts from "${runtime_path}".`);
 const defines_runtime = runtime_json.defines;
 console.log(`Loaded ${defines_runtime.length} defines from "${runtime_path}".`);
+const global_objects = runtime_json.global_objects || [];
+console.log(`Loaded ${global_objects.length} global objects from "${runtime_path}".`);
+const global_functions = runtime_json.global_functions || [];
+console.log(`Loaded ${global_functions.length} global functions from "${runtime_path}".`);
 const classes = runtime_json.classes;
 console.log(`Loaded ${classes.length} classes (v${runtime_version}, API v${runtime_api_version}) from "${runtime_path}".\n`);
 
 
+//-------------------------------------------------------------------
+// Process description links
+//-------------------------------------------------------------------
+
+// The pages of the API website, relative to the version, for everything that descriptions can link to
+const link_pages = {
+    runtime: new Map(),
+    prototype: new Map(),
+};
+for (const cls of classes) {
+    link_pages.runtime.set(cls.name, `classes/${cls.name}.html`);
+}
+for (const concept of concepts) {
+    link_pages.runtime.set(concept.name, `concepts/${concept.name}.html`);
+}
+for (const event of events) {
+    link_pages.runtime.set(event.name, `events.html#${event.name}`);
+}
+for (const prototype of prototypes) {
+    link_pages.prototype.set(prototype.name, `prototypes/${prototype.name}.html`);
+}
+for (const type of types) {
+    link_pages.prototype.set(type.name, `types/${type.name}.html`);
+}
+
+// The auxiliary pages of the API website that descriptions link to by name, like "runtime:storage". They're not part
+// of the JSON docs, so the offline site links to them online as well.
+const auxiliary_pages = ["data-lifecycle", "storage", "migrations", "libraries", "mod-structure", "noise-expressions", "json-docs-runtime", "json-docs-prototype"];
+
+// Turns a page of the API website into the corresponding page of the offline site, relative to another page of it.
+// All pages of the offline site are one directory deep, so that links work the same from each of them.
+/** @param {string} page A page like "classes/LuaEntity.html#position", "events.html#on_tick" or "defines.html#defines.events" */
+function toSitePage(page) {
+    let [file, anchor] = page.split("#");
+    if (file === "events.html") {
+        file = `events/${anchor}.md`;
+        anchor = null;
+    } else if (file === "defines.html" && anchor === "defines") {
+        // The defines table itself, which has the index of all defines as its page
+        file = "defines/index.md";
+        anchor = null;
+    } else if (file === "defines.html") {
+        file = `defines/${anchor.split(".")[1]}.md`;
+    } else {
+        file = file.replace(/\.html$/, ".md");
+    }
+    return `../${file}` + (anchor ? `#${anchor}` : "");
+}
+
+// Resolves a link target like "runtime:LuaEntity::position" to an absolute URL (or a page of the offline site), or null if it's unknown
+/**
+ * @param {string} stage Either "runtime", "prototype" or "concept"
+ * @param {string} target The part after the stage, like "LuaEntity::position"
+ * @param {string} version The application version to link to
+ */
+function resolveLink(stage, target, version) {
+    const [page_name, member] = target.split("::");
+    let page = null;
+    if (page_name.startsWith("defines")) {
+        page = `defines.html#${page_name}`;
+    } else if (auxiliary_pages.includes(page_name)) {
+        const url = `https://lua-api.factorio.com/${version}/auxiliary/${page_name}.html`;
+        return member ? `${url}#${member}` : url;
+    } else if (stage === "prototype") {
+        page = link_pages.prototype.get(page_name);
+    } else {
+        page = link_pages.runtime.get(page_name);
+    }
+    if (page == null) {
+        return null;
+    }
+    if (member && !page.includes("#")) {
+        page += `#${member}`;
+    }
+    if (format === "markdown") {
+        return toSitePage(page);
+    }
+    return `https://lua-api.factorio.com/${version}/${page}`;
+}
+
+// Resolves the URL of an image of the documentation, which the offline site links to online as well
+/**
+ * @param {string} filename
+ * @param {string} version The application version to link to
+ */
+function resolveImage(filename, version) {
+    return `https://lua-api.factorio.com/${version}/static/images/${filename}`;
+}
+
+// Rewrites the "runtime:", "prototype:" and "concept:" links of a Markdown text into absolute links. Links to unknown
+// targets are left as their label, since editors can't open those URIs anyway.
+/**
+ * @param {string} text
+ * @param {string} version The application version to link to
+ */
+function rewriteLinks(text, version) {
+    return text.replace(/\[([^\]]*)\]\((runtime|prototype|concept):([^)]+)\)/g, (match, label, stage, target) => {
+        const url = resolveLink(stage, target, version);
+        return url != null ? `[${label}](${url})` : label;
+    });
+}
+
+// Rewrites the links in all descriptive texts of the given JSON, and resolves the URLs of its images, in place
+/**
+ * @param {*} json
+ * @param {string} version The application version to link to
+ */
+function rewriteDescriptionLinks(json, version) {
+    const text_keys = ["description", "lists", "examples", "variant_parameter_description", "caption"];
+    if (Array.isArray(json)) {
+        for (const item of json) {
+            rewriteDescriptionLinks(item, version);
+        }
+    } else if (typeof json === "object" && json !== null) {
+        for (const key of Object.keys(json)) {
+            const value = json[key];
+            if (key === "images" && Array.isArray(value)) {
+                for (const image of value) {
+                    image.url = resolveImage(image.filename, version);
+                }
+                rewriteDescriptionLinks(value, version);
+            } else if (text_keys.includes(key) && typeof value === "string") {
+                json[key] = rewriteLinks(value, version);
+            } else if (text_keys.includes(key) && Array.isArray(value)) {
+                json[key] = value.map(text => typeof text === "string" ? rewriteLinks(text, version) : text);
+            } else {
+                rewriteDescriptionLinks(value, version);
+            }
+        }
+    }
+}
+
+rewriteDescriptionLinks(prototypes_json, prototypes_version);
+rewriteDescriptionLinks(runtime_json, runtime_version);
+
+
+//-------------------------------------------------------------------
+// Process visibility
+//-------------------------------------------------------------------
+
+// Removes everything that needs an expansion which isn't part of the chosen feature set from the given JSON, in place
+/** @param {*} json */
+function filterVisibility(json) {
+    if (Array.isArray(json)) {
+        for (let i = json.length - 1; i >= 0; i--) {
+            const item = json[i];
+            if (item != null && Array.isArray(item.visibility) && !item.visibility.every(expansion => visible_expansions.includes(expansion))) {
+                json.splice(i, 1);
+            } else {
+                filterVisibility(item);
+            }
+        }
+    } else if (typeof json === "object" && json !== null) {
+        for (const key of Object.keys(json)) {
+            filterVisibility(json[key]);
+        }
+    }
+}
+
+if (visible_expansions != null) {
+    filterVisibility(prototypes_json);
+    filterVisibility(runtime_json);
+    console.log(`Filtered out everything not available with "${opts.visibility}".\n`);
+}
+
+
 // console.log("==========================================================================");
 
-// Prepare to generate documentation
-let documentation_string = "";
-documentation_string += "-- =============================================================\n";
-documentation_string += "-- Factorio Prototype Documentation (v" + prototypes_version + ", API v" + prototypes_api_version + ")\n";
-documentation_string += "-- Generated by " + name + " v" + version + " (" + repository.url + ")\n";
-documentation_string += "-- Date: " + new Date().toISOString() + "\n";
-documentation_string += "-- =============================================================\n";
-documentation_string += "\n";
+// Prepare to generate documentation, which is split into one file per stage and category
+/** @type {Map<string, string>} The contents of the generated files, by path relative to the output directory */
+const output_files = new Map();
+
+// Gets the lines of the header at the top of every generated file
+/**
+ * @param {string} stage Either "prototype" or "runtime", depending on which JSON the file's contents come from
+ * @returns {Array<string>}
+ */
+function getHeaderLines(stage) {
+    const lines = [];
+    lines.push("=============================================================");
+    if (stage === "prototype") {
+        lines.push("Factorio Prototype Documentation (v" + prototypes_version + ", API v" + prototypes_api_version + ")");
+    } else {
+        lines.push("Factorio Runtime Documentation (v" + runtime_version + ", API v" + runtime_api_version + ")");
+    }
+    lines.push("Generated by " + name + " v" + version + " (" + repository.url + ")");
+    lines.push("Date: " + new Date().toISOString());
+    lines.push("=============================================================");
+    return lines;
+}
+
+// Adds documentation to a generated library file of the LuaLS addon, starting the file with a header if it's new
+/**
+ * @param {string} file_path The path of the file, relative to the library directory, or to the output directory for stage files
+ * @param {string} stage Either "prototype" or "runtime", depending on which JSON the documentation comes from
+ * @param {string} doc
+ */
+function addDocumentation(file_path, stage, doc) {
+    // Both stages declare some of the same names, so only the shared files go in the library that the addon loads;
+    // the stage directories sit next to it and are added per workspace
+    const output_path = /^(prototype|runtime)\//.test(file_path) ? file_path : `library/${file_path}`;
+    if (!output_files.has(output_path)) {
+        const header = "---@meta\n" + getHeaderLines(stage).map(line => "-- " + line + "\n").join("");
+        output_files.set(output_path, header);
+    }
+    output_files.set(output_path, output_files.get(output_path) + "\n" + doc + "\n");
+}
+
+// Adds declarations to a generated TypeScript declaration file, starting the file with a header if it's new
+/**
+ * @param {string} file_path The path of the file, relative to the output directory
+ * @param {string} stage Either "prototype" or "runtime", depending on which JSON the declarations come from
+ * @param {string} declarations
+ */
+function addDeclarations(file_path, stage, declarations) {
+    if (!output_files.has(file_path)) {
+        // Factorio calls functions with a dot, so none of them take a self parameter unless declared otherwise
+        const header = "/** @noSelfInFile */\n" + getHeaderLines(stage).map(line => "// " + line + "\n").join("");
+        output_files.set(file_path, header);
+    }
+    output_files.set(file_path, output_files.get(file_path) + "\n" + declarations + "\n");
+}
+
+//-------------------------------------------------------------------
+// Process builtins
+//-------------------------------------------------------------------
+
+// The builtin types of both stages, in one preamble so that everything after it can refer to them. Older runtime
+// JSON lists them separately as builtin_types, newer ones as concepts with a "builtin" type.
+const builtins = new Map();
+const builtin_jsons = [
+    ...types,
+    ...concepts,
+    ...(runtime_json.builtin_types || []).map(builtin_json => ({ ...builtin_json, type: "builtin" })),
+];
+for (const builtin_json of builtin_jsons) {
+    if (builtin_json.type === "builtin" && !builtins.has(builtin_json.name) && !Concept.LUALS_TYPES.includes(builtin_json.name)) {
+        builtins.set(builtin_json.name, new Concept(builtin_json));
+    }
+}
+if (format === "luals") {
+    for (const builtin of builtins.values()) {
+        addDocumentation("builtins.lua", "prototype", generateLuaDocForType(builtin));
+    }
+}
 
 //-------------------------------------------------------------------
 // Process prototypes
 //-------------------------------------------------------------------
 
+// Checks whether a property is already declared by one of the parents, in which case it's inherited instead of redeclared
+/**
+ * @param {Concept|Prototype} member
+ * @param {Property} property
+ * @param {Map<string, Concept|Prototype>} lookup
+ */
+function isInheritedProperty(member, property, lookup) {
+    if (property.override) {
+        return false;
+    }
+    let parent = lookup.get(member.parent);
+    while (parent != null) {
+        if (parent.properties != null && parent.properties.some(p => p.name === property.name)) {
+            return true;
+        }
+        parent = lookup.get(parent.parent);
+    }
+    return false;
+}
+
+// Gets the properties of a type or prototype along with the ones it inherits, where overrides replace the properties they override
+/**
+ * @param {Concept|Prototype} member
+ * @param {Map<string, Concept|Prototype>} lookup
+ * @returns {Array<Property>}
+ */
+function getAllProperties(member, lookup) {
+    const parent = lookup.get(member.parent);
+    const properties = new Map(parent != null ? getAllProperties(parent, lookup).map(property => [property.name, property]) : []);
+    for (const property of member.properties || []) {
+        properties.set(property.name, property);
+    }
+    return [...properties.values()];
+}
+
 // Generates the LUADOC (not LDOC) documentation for a type
-/** @param {Concept} concept */
-function generateLuaDocForType(concept) {
+/**
+ * @param {Concept} concept
+ * @param {Map<string, Concept>} lookup
+ */
+function generateLuaDocForType(concept, lookup = new Map()) {
+    const parent = lookup.get(concept.parent);
     let doc = "";
-    doc += concept.toClass() + "\n";
+    doc += concept.toClass(parent != null ? parent.getStructName() : concept.parent) + "\n";
     if (concept.properties != null) {
-        for (let i = 0; i < concept.properties.length; i++) {
-            const property = concept.properties[i];
+        const properties = concept.properties.filter(p => !isInheritedProperty(concept, p, lookup));
+        for (let i = 0; i < properties.length; i++) {
+            const property = properties[i];
             doc += property.toField();
-            if (i < concept.properties.length - 1) {
+            if (i < properties.length - 1) {
                 doc += "\n";
             }
         }
     }
+    const variant_classes = concept.toVariantClasses();
+    if (variant_classes != null) {
+        doc += "\n\n" + variant_classes;
+    }
     return doc;
 }
 
-// Generates the LUADOC (not LDOC) documentation for a define
-/** @param {Define} define */
-function generateLuaDocForDefine(define) {
+// Generates the LUADOC (not LDOC) documentation for a define, and recursively for its subkeys
+/**
+ * @param {Define} define
+ * @param {string} parent_name The full name of the table the define is in
+ */
+function generateLuaDocForDefine(define, parent_name = "defines") {
+    const define_name = parent_name + "." + define.name;
     let doc = "";
-    doc += define.toString() + "\n";
+    doc += define.toString(parent_name) + "\n";
     if (define.values != null) {
         for (let i = 0; i < define.values.length; i++) {
-            const value = define.values[i];
-            doc += value.toField();
-            if (i < define.values.length - 1) {
-                doc += "\n";
-            }
+            doc += define.values[i].toField(define_name) + "\n";
+        }
+    }
+    if (define.subkeys != null) {
+        for (let i = 0; i < define.subkeys.length; i++) {
+            doc += define.subkeys[i].toField(define_name) + "\n";
+        }
+    }
+    doc += define_name + " = {}";
+    if (define.values != null) {
+        for (let i = 0; i < define.values.length; i++) {
+            doc += "\n\n" + define.values[i].toClass(define_name);
+        }
+    }
+    if (define.subkeys != null) {
+        for (let i = 0; i < define.subkeys.length; i++) {
+            doc += "\n\n" + generateLuaDocForDefine(define.subkeys[i], define_name);
         }
     }
     return doc;
 }
 
+// Generates the LUADOC (not LDOC) documentation for the whole defines table
+/** @param {Array<Define>} defines */
+function generateLuaDocForDefines(defines) {
+    let doc = "";
+    doc += "---@class defines\n";
+    for (let i = 0; i < defines.length; i++) {
+        doc += defines[i].toField() + "\n";
+    }
+    doc += "defines = {}";
+    for (let i = 0; i < defines.length; i++) {
+        doc += "\n\n" + generateLuaDocForDefine(defines[i]);
+    }
+    return doc;
+}
+
 // Generates the LUADOC (not LDOC) documentation for a prototype
-/** @param {Prototype} prototype */
-function generateLuaDocForPrototype(prototype) {
+/**
+ * @param {Prototype} prototype
+ * @param {Map<string, Prototype>} lookup
+ */
+function generateLuaDocForPrototype(prototype, lookup) {
     let doc = "";
     doc += prototype.toClass() + "\n";
-    for (let i = 0; i < prototype.properties.length; i++) {
-        const property = prototype.properties[i];
-        doc += property.toField();
-        if (i < prototype.properties.length - 1) {
-            doc += "\n";
-        }
+    const properties = prototype.properties.filter(p => !isInheritedProperty(prototype, p, lookup));
+    const fields = properties.map(property => property.toField());
+    // The type is what data:extend discriminates prototypes by, so it must be the literal type name
+    if (prototype.typename != null && !prototype.properties.some(p => p.name === "type")) {
+        fields.push("---@field type " + JSON.stringify(prototype.typename));
     }
+    doc += fields.join("\n");
     return doc;
 }
 
-for (let i = 0; i < types.length; i++) {
-    const type = new Concept(types[i]);
-    documentation_string += generateLuaDocForType(type);
-    if (i < types.length - 1) {
-        documentation_string += "\n\n";
+// Generates the LUADOC (not LDOC) documentation for the data table of the data stage: data.raw and data:extend
+/** @param {Array<Prototype>} prototypes */
+function generateLuaDocForData(prototypes) {
+    const concrete_prototypes = prototypes.filter(prototype => prototype.typename != null);
+    let doc = "";
+    doc += "---All prototypes, by type name and then by name.\n";
+    doc += "---@class data.raw\n";
+    for (const prototype of concrete_prototypes) {
+        doc += "---@field [" + JSON.stringify(prototype.typename) + "] table<string, " + prototype.name + ">\n";
     }
-}
-for (let i = 0; i < defines_prototypes.length; i++) {
-    const type = new Define(defines_prototypes[i]);
-    documentation_string += generateLuaDocForDefine(type);
-    if (i < types.length - 1) {
-        documentation_string += "\n\n";
+    doc += "\n";
+    doc += "---Any prototype that can be added with data:extend, discriminated by its type.\n";
+    doc += "---@alias data.AnyPrototype\n";
+    for (const prototype of concrete_prototypes) {
+        doc += "---| " + prototype.name + "\n";
     }
+    doc += "\n";
+    doc += "---@class data\n";
+    doc += "---@field raw data.raw\n";
+    doc += "data = {}\n";
+    doc += "\n";
+    doc += "---Adds the given prototypes to data.raw.\n";
+    doc += "---@param otherdata data.AnyPrototype[]\n";
+    doc += "function data:extend(otherdata) end";
+    return doc;
 }
-for (let i = 0; i < prototypes.length; i++) {
-    const prototype = new Prototype(prototypes[i]);
-    documentation_string += generateLuaDocForPrototype(prototype);
-    if (i < prototypes.length - 1) {
-        documentation_string += "\n\n";
+
+const parsed_types = types.filter(type_json => type_json.type !== "builtin").map(type_json => new Concept(type_json));
+const types_lookup = new Map(parsed_types.map(type => [type.name, type]));
+const parsed_defines = defines_prototypes.map(define_json => new Define(define_json));
+const parsed_prototypes = prototypes.map(prototype_json => new Prototype(prototype_json));
+const prototypes_lookup = new Map(parsed_prototypes.map(prototype => [prototype.name, prototype]));
+if (format === "luals") {
+    for (let i = 0; i < parsed_types.length; i++) {
+        const type = parsed_types[i];
+        addDocumentation("prototype/types.lua", "prototype", generateLuaDocForType(type, types_lookup));
     }
+    addDocumentation("defines.lua", "prototype", generateLuaDocForDefines(parsed_defines));
+    for (let i = 0; i < parsed_prototypes.length; i++) {
+        const prototype = parsed_prototypes[i];
+        addDocumentation("prototype/prototypes.lua", "prototype", generateLuaDocForPrototype(prototype, prototypes_lookup));
+    }
+    addDocumentation("prototype/data.lua", "prototype", generateLuaDocForData(parsed_prototypes));
 }
 
 
@@ -148,52 +497,970 @@ for (let i = 0; i < prototypes.length; i++) {
 //-------------------------------------------------------------------
 
 // Generates the LUADOC (not LDOC) documentation for a class
-/** @param {Class} cls */
-function generateLuaDocForClass(cls) {
+/**
+ * @param {Class} cls
+ * @param {Map<string, Array<string>>} overloads Additional overloads for the methods of the class, by method name
+ */
+function generateLuaDocForClass(cls, overloads = new Map()) {
+    // With narrowed subclasses, members restricted to some subclasses only appear on their narrowed classes
+    const isGeneral = member => !narrow_subclasses || member.subclasses == null;
     let doc = "";
     doc += cls.toClass() + "\n";
+    if (cls.attributes != null) {
+        for (let i = 0; i < cls.attributes.length; i++) {
+            const attribute = cls.attributes[i];
+            if (isGeneral(attribute)) {
+                doc += attribute.toField() + "\n";
+            }
+        }
+    }
+    for (const operator of cls.toOperators()) {
+        doc += operator + "\n";
+    }
+    doc += "local " + cls.name + " = {}";
     if (cls.methods != null) {
         for (let i = 0; i < cls.methods.length; i++) {
             const method = cls.methods[i];
-            doc += method.toField();
-            if (i < cls.methods.length - 1) {
-                doc += "\n";
+            const param_class = method.toParamClass(cls.name);
+            if (param_class != null) {
+                doc += "\n\n" + param_class;
+            }
+            if (isGeneral(method)) {
+                doc += "\n\n" + method.toFunction(cls.name, overloads.get(method.name));
             }
         }
     }
-    if (cls.attributes != null) {
-        for (let i = 0; i < cls.attributes.length; i++) {
-            const attribute = cls.attributes[i];
-            doc += attribute.toField();
-            if (i < cls.attributes.length - 1) {
-                doc += "\n";
-            }
+    if (narrow_subclasses) {
+        doc += generateLuaDocForSubclasses(cls);
+    }
+    return doc;
+}
+
+// Generates the LUADOC (not LDOC) documentation for the narrowed classes of a class, one per subclass
+/** @param {Class} cls */
+function generateLuaDocForSubclasses(cls) {
+    /** @type {Map<string, {attributes: Array<Attribute>, methods: Array<Method>}>} */
+    const subclass_members = new Map();
+    const getMembers = subclass => {
+        if (!subclass_members.has(subclass)) {
+            subclass_members.set(subclass, { attributes: [], methods: [] });
+        }
+        return subclass_members.get(subclass);
+    };
+    for (const attribute of cls.attributes || []) {
+        for (const subclass of attribute.subclasses || []) {
+            getMembers(subclass).attributes.push(attribute);
+        }
+    }
+    for (const method of cls.methods || []) {
+        for (const subclass of method.subclasses || []) {
+            getMembers(subclass).methods.push(method);
+        }
+    }
+    let doc = "";
+    for (const [subclass, members] of subclass_members) {
+        const subclass_name = subclass.replace(/\W/g, "_");
+        // The stubs go on a local of their own, like the ones of the class itself, so the class doesn't get a field for it
+        const table_name = cls.name + "_" + subclass_name;
+        doc += "\n\n";
+        doc += "---@class " + cls.name + "." + subclass_name + " : " + cls.name + "\n";
+        for (const attribute of members.attributes) {
+            doc += attribute.toField() + "\n";
+        }
+        doc += "local " + table_name + " = {}";
+        for (const method of members.methods) {
+            doc += "\n\n" + method.toFunction(cls.name, [], table_name);
         }
     }
     return doc;
 }
 
-// As far as I can tell, this is the same as the defines from prototypes?
-// for (let i = 0; i < defines_runtime.length; i++) {
-//     const type = new Define(defines_runtime[i]);
-//     documentation_string += generateLuaDocForDefine(type);
-//     if (i < types.length - 1) {
-//         documentation_string += "\n\n";
-//     }
-// }
-for (let i = 0; i < classes.length; i++) {
-    const cls = new Class(classes[i]);
-    documentation_string += generateLuaDocForClass(cls);
-    if (i < classes.length - 1) {
-        documentation_string += "\n\n";
+// Generates the overloads of script.on_event and script.on_nth_tick, so that handlers get typed event data
+/**
+ * @param {Array<Event>} events
+ * @returns {Map<string, Array<string>>} The overloads of LuaBootstrap, by method name
+ */
+function generateEventHandlerOverloads(events) {
+    const overloads = new Map();
+    overloads.set("on_event", events.map(event => event.toOverload()));
+    overloads.set("on_nth_tick", ["---@overload fun(tick: uint32|uint32[]|nil, handler?: fun(event: NthTickEventData))"]);
+    return overloads;
+}
+
+const parsed_concepts = concepts.filter(concept_json => concept_json.type !== "builtin").map(concept_json => new Concept(concept_json));
+const parsed_classes = classes.map(class_json => new Class(class_json));
+const parsed_events = events.map(event_json => new Event(event_json));
+const parsed_global_objects = global_objects.map(global_json => new GlobalObject(global_json));
+const parsed_global_functions = global_functions.map(function_json => new Method(function_json));
+if (format === "luals") {
+    for (let i = 0; i < parsed_concepts.length; i++) {
+        addDocumentation("runtime/concepts.lua", "runtime", generateLuaDocForType(parsed_concepts[i]));
+    }
+}
+if (format === "luals") {
+    const bootstrap_overloads = generateEventHandlerOverloads(parsed_events);
+    for (let i = 0; i < parsed_classes.length; i++) {
+        const cls = parsed_classes[i];
+        addDocumentation(`runtime/classes/${cls.name}.lua`, "runtime", generateLuaDocForClass(cls, cls.name === "LuaBootstrap" ? bootstrap_overloads : undefined));
     }
 }
 
 
-// console.log(documentation_string);
-// console.log("==========================================================================");
+
+//-------------------------------------------------------------------
+// Process events
+//-------------------------------------------------------------------
+
+// Generates the LUADOC (not LDOC) documentation for an event
+/** @param {Event} event */
+function generateLuaDocForEvent(event) {
+    let doc = "";
+    doc += event.toClass() + "\n";
+    for (let i = 0; i < event.data.length; i++) {
+        const data = event.data[i];
+        doc += data.toField();
+        if (i < event.data.length - 1) {
+            doc += "\n";
+        }
+    }
+    return doc;
+}
+
+if (format === "luals") {
+    for (let i = 0; i < parsed_events.length; i++) {
+        addDocumentation("runtime/events.lua", "runtime", generateLuaDocForEvent(parsed_events[i]));
+    }
+}
+
+
+//-------------------------------------------------------------------
+// Process globals
+//-------------------------------------------------------------------
+
+if (format === "luals") {
+    for (let i = 0; i < parsed_global_objects.length; i++) {
+        addDocumentation("runtime/globals.lua", "runtime", parsed_global_objects[i].toGlobal());
+    }
+    for (let i = 0; i < parsed_global_functions.length; i++) {
+        addDocumentation("runtime/globals.lua", "runtime", parsed_global_functions[i].toFunction(null));
+    }
+}
+
+
+//-------------------------------------------------------------------
+// Process addon configuration
+//-------------------------------------------------------------------
+
+if (format === "luals") {
+    // The LuaLS addon configuration, so the output directory can be used as an addon as is
+    const addon_config = {
+        name: "Factorio",
+        words: ["script%.on_event", "data:extend", "defines%."],
+        files: ["control%.lua", "data%.lua", "data%-updates%.lua", "data%-final%-fixes%.lua", "settings%.lua"],
+        settings: {
+            "Lua.runtime.version": "Lua 5.2",
+        },
+    };
+    output_files.set("config.json", JSON.stringify(addon_config, null, 4) + "\n");
+
+    // A workspace configuration to copy from per stage, since the stages can't share a workspace without their
+    // same-named aliases clashing. Data stage code (data.lua and friends) uses the prototype one, control.lua the runtime one.
+    // The paths are relative to the output directory, so that it can be shared; workspaces prefix them with where they keep it.
+    for (const stage of ["prototype", "runtime"]) {
+        const luarc = {
+            "runtime.version": "Lua 5.2",
+            "workspace.library": [
+                "library",
+                stage,
+            ],
+        };
+        output_files.set(`${stage}.luarc.json`, JSON.stringify(luarc, null, 4) + "\n");
+    }
+}
+
+//-------------------------------------------------------------------
+// Process TypeScript
+//-------------------------------------------------------------------
+
+// Indents every non-empty line of the given declarations by one level, for when they're placed in a namespace
+/** @param {string} declarations */
+function indentDeclarations(declarations) {
+    return declarations.replace(/^(?=.)/gm, "    ");
+}
+
+// Gets what the interface of a type or prototype extends: its parent, without the properties that it overrides, since
+// an interface can't change the type of a property it inherits
+/**
+ * @param {Concept|Prototype} member
+ * @param {string|null} parent_name The name of the interface of the parent
+ * @param {Map<string, Concept|Prototype>} lookup
+ */
+function getTypeScriptParent(member, parent_name, lookup) {
+    const parent = lookup.get(member.parent);
+    if (parent == null) {
+        return parent_name;
+    }
+    const inherited = new Set(getAllProperties(parent, lookup).map(property => property.name));
+    const overridden = (member.properties || []).filter(property => property.override && inherited.has(property.name));
+    return overridden.length > 0 ? `Omit<${parent_name}, ${overridden.map(property => JSON.stringify(property.name)).join(" | ")}>` : parent_name;
+}
+
+// Generates the TypeScript declaration for a type
+/**
+ * @param {Concept} concept
+ * @param {Map<string, Concept>} lookup
+ */
+function generateTypeScriptForType(concept, lookup = new Map()) {
+    const properties = (concept.properties || []).filter(p => !isInheritedProperty(concept, p, lookup));
+    const parent = lookup.get(concept.parent);
+    return concept.toDeclaration(properties.map(property => property.toTypeScript()), getTypeScriptParent(concept, parent != null ? parent.getStructName() : concept.parent, lookup));
+}
+
+// Generates the TypeScript declarations for the whole defines table
+/** @param {Array<Define>} defines */
+function generateTypeScriptForDefines(defines) {
+    return "declare namespace defines {\n" + indentDeclarations(defines.map(define => define.toDeclaration()).join("\n\n")) + "\n}";
+}
+
+// Generates the TypeScript declaration for a prototype
+/**
+ * @param {Prototype} prototype
+ * @param {Map<string, Prototype>} lookup
+ */
+function generateTypeScriptForPrototype(prototype, lookup) {
+    const properties = prototype.properties.filter(p => !isInheritedProperty(prototype, p, lookup));
+    const members = properties.map(property => property.toTypeScript());
+    // The type is what data:extend discriminates prototypes by, so it must be the literal type name. Prototypes that
+    // concrete prototypes extend also take the type names of those, or the children wouldn't extend them.
+    if (prototype.typename != null && !prototype.properties.some(p => p.name === "type")) {
+        const typenames = [prototype.typename];
+        for (const other of lookup.values()) {
+            if (other.typename != null && other !== prototype && isDescendant(other, prototype, lookup)) {
+                typenames.push(other.typename);
+            }
+        }
+        members.push("type: " + typenames.map(typename => JSON.stringify(typename)).join(" | ") + ";");
+    }
+    return prototype.toDeclaration(members, getTypeScriptParent(prototype, prototype.parent, lookup));
+}
+
+// Whether the given member inherits from the given ancestor, directly or not
+/**
+ * @param {Prototype} member
+ * @param {Prototype} ancestor
+ * @param {Map<string, Prototype>} lookup
+ */
+function isDescendant(member, ancestor, lookup) {
+    let parent = lookup.get(member.parent);
+    while (parent != null) {
+        if (parent === ancestor) {
+            return true;
+        }
+        parent = lookup.get(parent.parent);
+    }
+    return false;
+}
+
+// Generates the TypeScript declarations for the data table of the data stage: data.raw and data:extend
+/** @param {Array<Prototype>} prototypes */
+function generateTypeScriptForData(prototypes) {
+    const concrete_prototypes = prototypes.filter(prototype => prototype.typename != null);
+    let declarations = "";
+    declarations += "declare namespace data {\n";
+    declarations += "    /** All prototypes, by type name and then by name. */\n";
+    declarations += "    interface raw {\n";
+    for (const prototype of concrete_prototypes) {
+        declarations += "        " + JSON.stringify(prototype.typename) + ": Record<string, " + prototype.name + ">;\n";
+    }
+    declarations += "    }\n";
+    declarations += "\n";
+    declarations += "    /** Any prototype that can be added with data:extend, discriminated by its type. */\n";
+    declarations += "    type AnyPrototype = " + (concrete_prototypes.length > 0 ? concrete_prototypes.map(prototype => prototype.name).join(" | ") : "never") + ";\n";
+    declarations += "}\n";
+    declarations += "\n";
+    declarations += "interface data {\n";
+    declarations += "    raw: data.raw;\n";
+    declarations += "\n";
+    declarations += "    /** Adds the given prototypes to data.raw. */\n";
+    // data:extend is called with a colon, unlike the functions of the runtime API
+    declarations += "    extend(this: data, otherdata: data.AnyPrototype[]): void;\n";
+    declarations += "}\n";
+    declarations += "\n";
+    declarations += "declare const data: data;";
+    return declarations;
+}
+
+// Generates the TypeScript declarations for a class, along with a namespace for the tables of parameters of its methods
+/**
+ * @param {Class} cls
+ * @param {Map<string, Array<string>>} overloads Additional overloads for the methods of the class, by method name
+ */
+function generateTypeScriptForClass(cls, overloads = new Map()) {
+    const members = [];
+    for (const attribute of cls.attributes || []) {
+        members.push(attribute.toTypeScript());
+    }
+    members.push(...cls.toTypeScriptOperators());
+    const param_interfaces = [];
+    for (const method of cls.methods || []) {
+        members.push(method.toTypeScript(cls.name, overloads.get(method.name)));
+        const param_interface = method.toParamInterface();
+        if (param_interface != null) {
+            param_interfaces.push(param_interface);
+        }
+    }
+    let declarations = cls.toDeclaration(members);
+    if (param_interfaces.length > 0) {
+        declarations += "\n\ndeclare namespace " + cls.name + " {\n" + indentDeclarations(param_interfaces.join("\n\n")) + "\n}";
+    }
+    return declarations;
+}
+
+// Generates the TypeScript overloads of script.on_event and script.on_nth_tick, so that handlers get typed event data
+/**
+ * @param {Array<Event>} events
+ * @returns {Map<string, Array<string>>} The overloads of LuaBootstrap, by method name
+ */
+function generateTypeScriptEventHandlerOverloads(events) {
+    const overloads = new Map();
+    overloads.set("on_event", events.map(event => event.toTypeScriptOverload()));
+    overloads.set("on_nth_tick", ["on_nth_tick(tick: uint32 | uint32[] | undefined, handler?: (event: NthTickEventData) => void): void;"]);
+    return overloads;
+}
+
+// Generates the TypeScript declarations for all events, in the EventData namespace
+/** @param {Array<Event>} events */
+function generateTypeScriptForEvents(events) {
+    const interfaces = events.map(event => event.toDeclaration(event.data.map(data => data.toTypeScriptField())));
+    return "declare namespace EventData {\n" + indentDeclarations(interfaces.join("\n\n")) + "\n}";
+}
+
+if (format === "typescript") {
+    for (const builtin of builtins.values()) {
+        addDeclarations("builtins.d.ts", "prototype", generateTypeScriptForType(builtin));
+    }
+    addDeclarations("defines.d.ts", "prototype", generateTypeScriptForDefines(parsed_defines));
+    for (const type of parsed_types) {
+        addDeclarations("prototype/types.d.ts", "prototype", generateTypeScriptForType(type, types_lookup));
+    }
+    for (const prototype of parsed_prototypes) {
+        addDeclarations("prototype/prototypes.d.ts", "prototype", generateTypeScriptForPrototype(prototype, prototypes_lookup));
+    }
+    addDeclarations("prototype/data.d.ts", "prototype", generateTypeScriptForData(parsed_prototypes));
+    for (const concept of parsed_concepts) {
+        addDeclarations("runtime/concepts.d.ts", "runtime", generateTypeScriptForType(concept));
+    }
+    const bootstrap_overloads = generateTypeScriptEventHandlerOverloads(parsed_events);
+    for (const cls of parsed_classes) {
+        addDeclarations(`runtime/classes/${cls.name}.d.ts`, "runtime", generateTypeScriptForClass(cls, cls.name === "LuaBootstrap" ? bootstrap_overloads : undefined));
+    }
+    addDeclarations("runtime/events.d.ts", "runtime", generateTypeScriptForEvents(parsed_events));
+    for (const global_object of parsed_global_objects) {
+        addDeclarations("runtime/globals.d.ts", "runtime", global_object.toDeclaration());
+    }
+    for (const global_function of parsed_global_functions) {
+        const param_interface = global_function.toParamInterface(true);
+        if (param_interface != null) {
+            addDeclarations("runtime/globals.d.ts", "runtime", param_interface);
+        }
+        addDeclarations("runtime/globals.d.ts", "runtime", global_function.toTypeScript(null));
+    }
+
+    // One entry point per stage, with the shared declarations. There's no entry point for both, since the stages
+    // declare some of the same names globally: a project compiles its data stage and its control stage separately.
+    for (const stage of ["prototype", "runtime"]) {
+        const references = ["builtins.d.ts", "defines.d.ts", ...[...output_files.keys()].filter(file_path => file_path.startsWith(stage + "/"))];
+        let index = "/// <reference types=\"@typescript-to-lua/language-extensions\" />\n";
+        index += references.map(file_path => `/// <reference path="${path.posix.relative(stage, file_path)}" />\n`).join("");
+        output_files.set(`${stage}/index.d.ts`, index);
+    }
+}
+
+//-------------------------------------------------------------------
+// Process Markdown
+//-------------------------------------------------------------------
+
+// Adds a page to the offline reference site, starting it with the header as an HTML comment
+/**
+ * @param {string} file_path The path of the page, relative to the output directory
+ * @param {string} stage Either "prototype" or "runtime", depending on which JSON the page comes from
+ * @param {string} markdown
+ */
+function addPage(file_path, stage, markdown) {
+    const header = "<!--\n" + getHeaderLines(stage).join("\n") + "\n-->\n";
+    output_files.set(file_path, header + "\n" + markdown + "\n");
+}
+
+// The pages of the offline site, relative to the output directory, by stage and name. Builtin types get pages too,
+// so that they're also part of the backlinks.
+const site_pages = {
+    runtime: new Map(),
+    prototype: new Map(),
+};
+const site_concepts = [...concepts, ...(runtime_json.builtin_types || []).map(builtin_json => ({ ...builtin_json, type: "builtin" }))].map(concept_json => new Concept(concept_json));
+const site_types = types.map(type_json => new Concept(type_json));
+for (const cls of parsed_classes) {
+    site_pages.runtime.set(cls.name, `classes/${cls.name}.md`);
+}
+for (const concept of site_concepts) {
+    site_pages.runtime.set(concept.name, `concepts/${concept.name}.md`);
+}
+for (const event of parsed_events) {
+    site_pages.runtime.set(event.name, `events/${event.name}.md`);
+}
+for (const prototype of parsed_prototypes) {
+    site_pages.prototype.set(prototype.name, `prototypes/${prototype.name}.md`);
+}
+for (const type of site_types) {
+    site_pages.prototype.set(type.name, `types/${type.name}.md`);
+}
+
+// Creates the function that gets the URL of the page of a named type, relative to a page of the given stage. Names
+// are looked up in the given stage first, since both stages have types like Color.
+/**
+ * @param {string} stage Either "prototype" or "runtime"
+ * @returns {function(string): string|null}
+ */
+function createSiteResolver(stage) {
+    const other_stage = stage === "prototype" ? "runtime" : "prototype";
+    return name => {
+        if (name.startsWith("defines.")) {
+            return `../defines/${name.split(".")[1]}.md#${name}`;
+        }
+        const page = site_pages[stage].get(name) || site_pages[other_stage].get(name);
+        return page != null ? `../${page}` : null;
+    };
+}
+const resolve_runtime = createSiteResolver("runtime");
+const resolve_prototype = createSiteResolver("prototype");
+
+/** @type {Map<string, Map<string, string>>} The members using each name, as URLs by label */
+const used_by = new Map();
+/** @type {Map<string, Map<string, string>>} The members raising each event, as URLs by label */
+const raised_by = new Map();
+
+// Records that a member uses the names referenced by a type
+/**
+ * @param {Type|null} type
+ * @param {string} label The label of the member, like "LuaSurface::create_entity"
+ * @param {string} url The URL of the member, relative to a page of the site
+ */
+function addUsages(type, label, url) {
+    if (type == null) {
+        return;
+    }
+    for (const name of type.getReferencedNames()) {
+        if (!used_by.has(name)) {
+            used_by.set(name, new Map());
+        }
+        used_by.get(name).set(label, url);
+    }
+}
+
+// Records that a member uses the names referenced by the parameters and return values of a method, and the events it raises
+/**
+ * @param {Method} method
+ * @param {string} label
+ * @param {string} url
+ */
+function addMethodUsages(method, label, url) {
+    const parameters = [...(method.parameters || []), ...(method.return_values || [])];
+    for (const group of method.variant_parameter_groups || []) {
+        parameters.push(...(group.parameters || []));
+    }
+    for (const parameter of parameters) {
+        addUsages(parameter.type, label, url);
+    }
+    if (method.variadic_parameter != null) {
+        addUsages(method.variadic_parameter.type, label, url);
+    }
+    addRaises(method.raises, label, url);
+}
+
+// Records that a member raises the given events
+/**
+ * @param {Array<EventRaised>|null} raises
+ * @param {string} label
+ * @param {string} url
+ */
+function addRaises(raises, label, url) {
+    for (const raised of raises || []) {
+        if (!raised_by.has(raised.name)) {
+            raised_by.set(raised.name, new Map());
+        }
+        raised_by.get(raised.name).set(label, url);
+    }
+}
+
+// Generates the Markdown section listing the members that use a name (or raise an event), sorted by label
+/**
+ * @param {string} title
+ * @param {Map<string, string>|undefined} members The URLs of the members, by label
+ */
+function generateMarkdownForBacklinks(title, members) {
+    if (members == null || members.size === 0) {
+        return "";
+    }
+    const labels = [...members.keys()].sort();
+    return `## ${title}\n\n` + labels.map(label => `- [${label}](${members.get(label)})`).join("\n");
+}
+
+// Generates a nested Markdown list of the descendants of the given names, from the direct children of each
+/**
+ * @param {Array<string>} names
+ * @param {Map<string, Array<string>>} children The names of the direct children, by the name of their parent
+ * @param {function(string): string} link Generates the Markdown link to a name
+ * @param {number} depth
+ */
+function generateMarkdownTree(names, children, link, depth = 0) {
+    let markdown = "";
+    for (const name of names) {
+        markdown += "  ".repeat(depth) + "- " + link(name) + "\n";
+        markdown += generateMarkdownTree(children.get(name) || [], children, link, depth + 1);
+    }
+    return markdown;
+}
+
+// Gets the direct children of all the given classes, prototypes or types, by the name of their parent
+/** @param {Array<Class|Prototype|Concept>} members */
+function getChildren(members) {
+    const children = new Map();
+    for (const member of members) {
+        if (member.parent != null) {
+            if (!children.has(member.parent)) {
+                children.set(member.parent, []);
+            }
+            children.get(member.parent).push(member.name);
+        }
+    }
+    return children;
+}
+
+// Generates the Markdown sections showing where a class, prototype or type is in its inheritance tree: the chain
+// of its ancestors, and the tree of its descendants
+/**
+ * @param {Class|Prototype|Concept} member
+ * @param {Map<string, Class|Prototype|Concept>} lookup
+ * @param {Map<string, Array<string>>} children
+ * @param {function(string): string|null} resolve
+ */
+function generateMarkdownForInheritance(member, lookup, children, resolve) {
+    const link = name => resolve(name) != null ? `[${name}](${resolve(name)})` : name;
+    const ancestors = [];
+    let parent = member.parent;
+    while (parent != null && !ancestors.includes(parent)) {
+        ancestors.unshift(parent);
+        parent = lookup.has(parent) ? lookup.get(parent).parent : null;
+    }
+    const sections = [];
+    if (ancestors.length > 0) {
+        sections.push("**Inherits from:** " + [...ancestors.map(link), "**" + member.name + "**"].join(" › "));
+    }
+    if (children.has(member.name)) {
+        sections.push("**Extended by:**\n" + generateMarkdownTree(children.get(member.name), children, link).trimEnd());
+    }
+    return sections;
+}
+
+// Joins the given Markdown sections of a page, leaving out empty ones
+/** @param {Array<string>} sections */
+function joinSections(sections) {
+    return sections.filter(section => section).join("\n\n");
+}
+
+// Generates the Markdown page of a class
+/**
+ * @param {Class} cls
+ * @param {Map<string, Class>} lookup
+ * @param {Map<string, Array<string>>} children
+ */
+function generateMarkdownForClass(cls, lookup, children) {
+    const sections = [`# ${cls.name}`];
+    sections.push(...generateMarkdownForInheritance(cls, lookup, children, resolve_runtime));
+    sections.push(cls.toMarkdown());
+    if (cls.attributes != null && cls.attributes.length > 0) {
+        sections.push("## Attributes", ...cls.attributes.map(attribute => attribute.toMarkdown(resolve_runtime)));
+    }
+    if (cls.methods != null && cls.methods.length > 0) {
+        sections.push("## Methods", ...cls.methods.map(method => method.toMarkdown(resolve_runtime)));
+    }
+    if (cls.operators != null && cls.operators.length > 0) {
+        sections.push("## Operators", ...cls.operators.map(operator => operator.toMarkdown(resolve_runtime)));
+    }
+    sections.push(generateMarkdownForBacklinks("Used by", used_by.get(cls.name)));
+    return joinSections(sections);
+}
+
+// Generates the Markdown page of a runtime concept or prototype type
+/**
+ * @param {Concept} concept
+ * @param {Map<string, Concept>} lookup
+ * @param {Map<string, Array<string>>} children
+ * @param {function(string): string|null} resolve
+ */
+function generateMarkdownForConcept(concept, lookup, children, resolve) {
+    const sections = [`# ${concept.name}`];
+    sections.push(...generateMarkdownForInheritance(concept, lookup, children, resolve));
+    sections.push(concept.toMarkdown(resolve));
+    if (concept.properties != null && concept.properties.length > 0) {
+        sections.push("## Properties", ...concept.properties.map(property => property.toMarkdown(resolve)));
+    }
+    if (concept.variant_parameter_groups != null) {
+        sections.push("## Variant properties");
+        if (concept.variant_parameter_description) {
+            sections.push(concept.variant_parameter_description);
+        }
+        // Listed like the variant parameters of methods, see Method.toMarkdown
+        for (const group of concept.variant_parameter_groups.filter(group => group.parameters != null && group.parameters.length > 0)) {
+            const title = `**Additional properties for "${group.name}"` + (group.description ? " (" + group.description.split("\n").join(" ") + ")" : "") + ":**";
+            sections.push(title + "\n" + group.parameters.map(parameter => parameter.toMarkdown(resolve)).join("\n"));
+        }
+    }
+    sections.push(generateMarkdownForBacklinks("Used by", used_by.get(concept.name)));
+    return joinSections(sections);
+}
+
+// Generates the Markdown page of a prototype
+/**
+ * @param {Prototype} prototype
+ * @param {Map<string, Prototype>} lookup
+ * @param {Map<string, Array<string>>} children
+ */
+function generateMarkdownForPrototype(prototype, lookup, children) {
+    const sections = [`# ${prototype.name}`];
+    sections.push(...generateMarkdownForInheritance(prototype, lookup, children, resolve_prototype));
+    sections.push(prototype.toMarkdown());
+    if (prototype.properties != null && prototype.properties.length > 0) {
+        sections.push("## Properties", ...prototype.properties.map(property => property.toMarkdown(resolve_prototype)));
+    }
+    sections.push(generateMarkdownForBacklinks("Used by", used_by.get(prototype.name)));
+    return joinSections(sections);
+}
+
+// Generates the Markdown page of an event
+/** @param {Event} event */
+function generateMarkdownForEvent(event) {
+    const sections = [`# ${event.name}`];
+    sections.push(event.toMarkdown(resolve_runtime));
+    sections.push(generateMarkdownForBacklinks("Raised by", raised_by.get(event.name)));
+    return joinSections(sections);
+}
+
+// Generates the Markdown page of the global objects and functions
+/**
+ * @param {Array<GlobalObject>} global_objects
+ * @param {Array<Method>} global_functions
+ */
+function generateMarkdownForGlobals(global_objects, global_functions) {
+    const sections = ["# Globals"];
+    if (global_objects.length > 0) {
+        sections.push("## Objects", ...global_objects.map(global_object => global_object.toMarkdown(resolve_runtime)));
+    }
+    if (global_functions.length > 0) {
+        sections.push("## Functions", ...global_functions.map(global_function => global_function.toMarkdown(resolve_runtime)));
+    }
+    return joinSections(sections);
+}
+
+// Generates the Markdown page listing all defines, which are each on a page of their own
+/** @param {Array<Define>} defines */
+function generateMarkdownForDefines(defines) {
+    const sections = ["# Defines"];
+    if (defines.length > 0) {
+        sections.push(defines.map(define => `- [defines.${define.name}](../defines/${define.name}.md)` + (define.description ? " — " + define.description.split("\n")[0] : "")).join("\n"));
+    }
+    return joinSections(sections);
+}
+
+// Generates the sidebar index of the site, in the format of mdBook's SUMMARY.md. Classes, prototypes and types are
+// nested under their parents.
+/**
+ * @param {Map<string, Class>} classes_lookup
+ * @param {Map<string, Prototype>} prototypes_lookup
+ * @param {Map<string, Concept>} site_types_lookup
+ */
+function generateMarkdownSidebar(classes_lookup, prototypes_lookup, site_types_lookup) {
+    const link = stage => name => `[${name}](${site_pages[stage].get(name)})`;
+    const roots = lookup => [...lookup.values()].filter(member => member.parent == null || !lookup.has(member.parent)).map(member => member.name);
+    let sidebar = "# Summary\n\n";
+    sidebar += "[Overview](index.md)\n\n";
+    sidebar += "# Runtime\n\n";
+    sidebar += "- [Classes]()\n";
+    sidebar += generateMarkdownTree(roots(classes_lookup), getChildren([...classes_lookup.values()]), link("runtime"), 1);
+    sidebar += "- [Concepts]()\n";
+    sidebar += generateMarkdownTree(site_concepts.map(concept => concept.name), new Map(), link("runtime"), 1);
+    sidebar += "- [Events]()\n";
+    sidebar += generateMarkdownTree(parsed_events.map(event => event.name), new Map(), link("runtime"), 1);
+    sidebar += "- [Defines](defines/index.md)\n";
+    sidebar += parsed_defines.map(define => `  - [defines.${define.name}](defines/${define.name}.md)\n`).join("");
+    sidebar += "- [Globals](globals/index.md)\n";
+    sidebar += "\n# Prototype\n\n";
+    sidebar += "- [Prototypes]()\n";
+    sidebar += generateMarkdownTree(roots(prototypes_lookup), getChildren([...prototypes_lookup.values()]), link("prototype"), 1);
+    sidebar += "- [Types]()\n";
+    sidebar += generateMarkdownTree(roots(site_types_lookup), getChildren([...site_types_lookup.values()]), link("prototype"), 1);
+    return sidebar;
+}
+
+if (format === "markdown") {
+    // Backlinks need every member to be known before any page is generated
+    for (const cls of parsed_classes) {
+        for (const attribute of cls.attributes || []) {
+            addUsages(attribute.read_type, `${cls.name}::${attribute.name}`, `../classes/${cls.name}.md#${attribute.name}`);
+            addUsages(attribute.write_type, `${cls.name}::${attribute.name}`, `../classes/${cls.name}.md#${attribute.name}`);
+            addRaises(attribute.raises, `${cls.name}::${attribute.name}`, `../classes/${cls.name}.md#${attribute.name}`);
+        }
+        for (const method of cls.methods || []) {
+            addMethodUsages(method, `${cls.name}::${method.name}`, `../classes/${cls.name}.md#${method.name}`);
+        }
+    }
+    for (const concept of site_concepts) {
+        addUsages(concept.type, concept.name, `../concepts/${concept.name}.md`);
+    }
+    for (const type of site_types) {
+        addUsages(type.type, type.name, `../types/${type.name}.md`);
+        for (const property of type.properties || []) {
+            addUsages(property.type, `${type.name}::${property.name}`, `../types/${type.name}.md#${property.name}`);
+        }
+    }
+    for (const prototype of parsed_prototypes) {
+        for (const property of prototype.properties || []) {
+            addUsages(property.type, `${prototype.name}::${property.name}`, `../prototypes/${prototype.name}.md#${property.name}`);
+        }
+    }
+    for (const event of parsed_events) {
+        for (const data of event.data) {
+            addUsages(data.type, `${event.name}::${data.name}`, `../events/${event.name}.md`);
+        }
+    }
+    for (const global_object of parsed_global_objects) {
+        addUsages(global_object.type, global_object.name, `../globals/index.md#${global_object.name}`);
+    }
+    for (const global_function of parsed_global_functions) {
+        addMethodUsages(global_function, global_function.name, `../globals/index.md#${global_function.name}`);
+    }
+
+    const classes_lookup = new Map(parsed_classes.map(cls => [cls.name, cls]));
+    const classes_children = getChildren(parsed_classes);
+    for (const cls of parsed_classes) {
+        addPage(site_pages.runtime.get(cls.name), "runtime", generateMarkdownForClass(cls, classes_lookup, classes_children));
+    }
+    for (const concept of site_concepts) {
+        addPage(site_pages.runtime.get(concept.name), "runtime", generateMarkdownForConcept(concept, new Map(), new Map(), resolve_runtime));
+    }
+    for (const event of parsed_events) {
+        addPage(site_pages.runtime.get(event.name), "runtime", generateMarkdownForEvent(event));
+    }
+    for (const define of parsed_defines) {
+        addPage(`defines/${define.name}.md`, "prototype", define.toMarkdown());
+    }
+    addPage("defines/index.md", "prototype", generateMarkdownForDefines(parsed_defines));
+    addPage("globals/index.md", "runtime", generateMarkdownForGlobals(parsed_global_objects, parsed_global_functions));
+    const prototypes_children = getChildren(parsed_prototypes);
+    for (const prototype of parsed_prototypes) {
+        addPage(site_pages.prototype.get(prototype.name), "prototype", generateMarkdownForPrototype(prototype, prototypes_lookup, prototypes_children));
+    }
+    const site_types_lookup = new Map(site_types.map(type => [type.name, type]));
+    const types_children = getChildren(site_types);
+    for (const type of site_types) {
+        addPage(site_pages.prototype.get(type.name), "prototype", generateMarkdownForConcept(type, site_types_lookup, types_children, resolve_prototype));
+    }
+
+    output_files.set("SUMMARY.md", generateMarkdownSidebar(classes_lookup, prototypes_lookup, site_types_lookup));
+    let overview = "";
+    overview += "# Factorio API Reference\n\n";
+    overview += `An offline copy of the [runtime](https://lua-api.factorio.com/${runtime_version}/) (v${runtime_version}, API v${runtime_api_version}) `;
+    overview += `and [prototype](https://lua-api.factorio.com/${prototypes_version}/) (v${prototypes_version}, API v${prototypes_api_version}) API documentation, `;
+    overview += `generated by ${name} v${version}. See [SUMMARY.md](SUMMARY.md) for the index of all pages.\n`;
+    output_files.set("index.md", overview);
+}
+
+//-------------------------------------------------------------------
+// Process JSON Schema
+//-------------------------------------------------------------------
+
+// Generates the JSON Schema of a type or prototype, which extends the schema of its parent. Overrides can't be expressed
+// that way, since the parent's version of the property would still apply, so those schemas include all properties instead.
+/**
+ * @param {Concept|Prototype} member
+ * @param {Map<string, Concept|Prototype>} lookup
+ */
+function generateJSONSchemaForMember(member, lookup) {
+    const properties = member.properties || [];
+    if (properties.some(property => property.override)) {
+        return member.toJSONSchema(getAllProperties(member, lookup), null);
+    }
+    return member.toJSONSchema(properties.filter(property => !isInheritedProperty(member, property, lookup)));
+}
+
+// Generates the JSON Schema bundle for prototype data. Every type and prototype is in its "$defs", so fixtures can
+// refer to a single prototype, while the bundle itself validates the data.raw table as written to data-raw-dump.json.
+function generateJSONSchema() {
+    const defs = {};
+    for (const type of types.map(type_json => new Concept(type_json))) {
+        defs[type.name] = generateJSONSchemaForMember(type, types_lookup);
+    }
+    for (const prototype of parsed_prototypes) {
+        defs[prototype.name] = generateJSONSchemaForMember(prototype, prototypes_lookup);
+    }
+    const raw_properties = {};
+    for (const prototype of parsed_prototypes.filter(prototype => prototype.typename != null)) {
+        raw_properties[prototype.typename] = { type: "object", additionalProperties: prototype.toRawSchema() };
+    }
+    return {
+        $schema: "https://json-schema.org/draft/2020-12/schema",
+        $comment: getHeaderLines("prototype").join("\n"),
+        title: `Factorio prototype data (v${prototypes_version})`,
+        description: "All prototypes, by type name and then by name, as in data.raw.",
+        type: "object",
+        properties: raw_properties,
+        $defs: defs,
+    };
+}
+
+if (format === "jsonschema") {
+    output_files.set("prototypes.schema.json", JSON.stringify(generateJSONSchema(), null, 4) + "\n");
+}
+
+//-------------------------------------------------------------------
+// Validate references
+//-------------------------------------------------------------------
+
+// The names that the types of each stage are allowed to refer to. The stages are separate libraries (and entry
+// points), so a stage can only refer to its own names and the shared builtins and defines.
+const shared_symbols = new Set([...Concept.LUALS_TYPES, ...builtins.keys()]);
+
+// Adds the full names of a define, its values and its subkeys to the shared symbols
+/**
+ * @param {Define} define
+ * @param {string} parent_name
+ */
+function addDefineSymbols(define, parent_name = "defines") {
+    const define_name = parent_name + "." + define.name;
+    shared_symbols.add(define_name);
+    for (const value of define.values || []) {
+        shared_symbols.add(define_name + "." + value.name);
+    }
+    for (const subkey of define.subkeys || []) {
+        addDefineSymbols(subkey, define_name);
+    }
+}
+shared_symbols.add("defines");
+for (const define_json of [...defines_prototypes, ...defines_runtime]) {
+    addDefineSymbols(new Define(define_json));
+}
+
+const symbols = {
+    prototype: new Set([...shared_symbols, ...[...types, ...prototypes].map(named => named.name)]),
+    runtime: new Set([...shared_symbols, ...[...concepts, ...classes, ...(runtime_json.builtin_types || [])].map(named => named.name)]),
+};
+for (const event of events) {
+    symbols.runtime.add("EventData." + event.name);
+}
+
+/** @type {Map<string, Array<string>>} The member paths using each unresolved name */
+const unresolved = new Map();
+
+// Records the names referenced by a type that aren't symbols of its stage, along with the path of the member using the type
+/**
+ * @param {Type|null} type
+ * @param {string} path
+ * @param {string} stage Either "prototype" or "runtime"
+ */
+function checkReferences(type, path, stage = "runtime") {
+    if (type == null) {
+        return;
+    }
+    for (const name of new Set(type.getReferencedNames())) {
+        if (!symbols[stage].has(name)) {
+            if (!unresolved.has(name)) {
+                unresolved.set(name, []);
+            }
+            unresolved.get(name).push(path);
+        }
+    }
+}
+
+// Records the unresolved names referenced by the parameters, variadic parameter and return values of a method
+/**
+ * @param {Method} method
+ * @param {string} path
+ */
+function checkMethodReferences(method, path) {
+    for (const parameter of method.parameters || []) {
+        checkReferences(parameter.type, `${path}(${parameter.name})`);
+    }
+    for (const group of method.variant_parameter_groups || []) {
+        for (const parameter of group.parameters || []) {
+            checkReferences(parameter.type, `${path}(${group.name}.${parameter.name})`);
+        }
+    }
+    if (method.variadic_parameter != null) {
+        checkReferences(method.variadic_parameter.type, `${path}(...)`);
+    }
+    for (const return_value of method.return_values || []) {
+        checkReferences(return_value.type, `${path}()`);
+    }
+}
+
+for (const [stage, concept_jsons] of [["prototype", types], ["runtime", concepts]]) {
+    for (const type of concept_jsons.map(concept_json => new Concept(concept_json))) {
+        checkReferences(type.type, type.name, stage);
+        for (const property of type.properties || []) {
+            checkReferences(property.type, `${type.name}.${property.name}`, stage);
+        }
+    }
+}
+for (const prototype of prototypes.map(prototype_json => new Prototype(prototype_json))) {
+    for (const property of prototype.properties || []) {
+        checkReferences(property.type, `${prototype.name}.${property.name}`, "prototype");
+    }
+}
+for (const cls of classes.map(class_json => new Class(class_json))) {
+    for (const attribute of cls.attributes || []) {
+        checkReferences(attribute.read_type, `${cls.name}.${attribute.name}`);
+        checkReferences(attribute.write_type, `${cls.name}.${attribute.name}`);
+    }
+    for (const method of cls.methods || []) {
+        checkMethodReferences(method, `${cls.name}.${method.name}`);
+    }
+    for (const operator of cls.operators || []) {
+        if (operator instanceof Method) {
+            checkMethodReferences(operator, `${cls.name}.${operator.name}`);
+        } else {
+            checkReferences(operator.read_type, `${cls.name}.${operator.name}`);
+            checkReferences(operator.write_type, `${cls.name}.${operator.name}`);
+        }
+    }
+}
+for (const event of parsed_events) {
+    for (const data of event.data) {
+        checkReferences(data.type, `${event.name}.${data.name}`);
+    }
+}
+for (const global_object of global_objects.map(global_json => new GlobalObject(global_json))) {
+    checkReferences(global_object.type, global_object.name);
+}
+for (const global_function of global_functions.map(function_json => new Method(function_json))) {
+    checkMethodReferences(global_function, global_function.name);
+}
+
+if (unresolved.size > 0) {
+    console.warn(`Found ${unresolved.size} unresolved type references:`);
+    for (const [unresolved_name, paths] of unresolved) {
+        console.warn(`  ${unresolved_name}, used by ${paths.join(", ")}`);
+    }
+    console.warn();
+    if (strict) {
+        console.error("Error: Unresolved type references are not allowed in strict mode.");
+        process.exit(1);
+    }
+}
 
 // Write documentation to output directory
-const output_path = `${output_dir}/ldoc.lua`;
-fs.writeFileSync(output_path, documentation_string);
-console.log(`Documentation generated at "${output_path}".`);
\ No newline at end of file
+for (const [file_path, contents] of output_files) {
+    const output_path = path.join(output_dir, file_path);
+    fs.mkdirSync(path.dirname(output_path), { recursive: true });
+    fs.writeFileSync(output_path, contents);
+}
+console.log(`Documentation generated in "${output_dir}" (${output_files.size} files).`);
\ No newline at end of file